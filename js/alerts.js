@@ -0,0 +1,210 @@
+/**
+ * Alerts module for arrival notifications
+ * An alert watches one bus heading to one stop and notifies once its ETA drops
+ * to the user's threshold. Alerts are checked on every bus refresh, so they keep
+ * running whichever view is open.
+ */
+const Alerts = (function() {
+    const MAX_MISSES = 3; // Bus refreshes a bus may be missing or off its route before the alert is cancelled
+    const VIBRATION_PATTERN = [200, 100, 200];
+
+    const alerts = new Map(); // key -> { busId, busName, routeId, routeName, stop, minutes, misses }
+    const leaveNotified = new Set(); // Keys of buses the user was already told to leave for
+    const listeners = [];
+
+    function alertKey(busId, stopId) {
+        return `${busId}|${stopId}`;
+    }
+
+    /**
+     * Start watching a bus on its way to a stop
+     * @param {Object} arrival - Arrival card data (busId, busName, routeId, routeName)
+     * @param {Object} stop - Stop the bus is heading to
+     */
+    async function add(arrival, stop) {
+        await requestPermission();
+
+        const alert = {
+            busId: String(arrival.busId),
+            busName: arrival.busName,
+            routeId: String(arrival.routeId),
+            routeName: arrival.routeName,
+            stop,
+            minutes: Storage.getAlertMinutes(),
+            misses: 0
+        };
+        alerts.set(alertKey(alert.busId, stop.id), alert);
+        console.log(`Alert set for ${alert.busName} at ${stop.name} (${alert.minutes} min)`);
+        notify();
+
+        // The bus may already be close enough
+        evaluate(alert, arrival.eta);
+        return alert;
+    }
+
+    /**
+     * Stop watching a bus
+     */
+    function remove(busId, stopId) {
+        if (alerts.delete(alertKey(busId, stopId))) {
+            notify();
+        }
+    }
+
+    function has(busId, stopId) {
+        return alerts.has(alertKey(busId, stopId));
+    }
+
+    /**
+     * Whether any bus is being watched
+     */
+    function hasAlerts() {
+        return alerts.size > 0;
+    }
+
+    /**
+     * Drop every alert (e.g. when switching transit systems)
+     */
+    function clear() {
+        leaveNotified.clear();
+        if (alerts.size === 0) return;
+        alerts.clear();
+        notify();
+    }
+
+    /**
+     * Check alerts against the latest bus positions
+     * Alerts whose bus has disappeared or left its route for a few refreshes are cancelled.
+     * A bus that has stopped reporting is waited for rather than counted as gone.
+     */
+    function check(buses, routes) {
+        alerts.forEach(alert => {
+            const bus = buses.find(b => String(b.id) === alert.busId);
+            if (bus && API.isBusStale(bus)) return;
+
+            const onRoute = bus && String(bus.routeId) === alert.routeId;
+            const arrival = onRoute ? API.calculateETAs([bus], alert.stop, routes)[0] : null;
+
+            if (!arrival) {
+                alert.misses++;
+                if (alert.misses >= MAX_MISSES) {
+                    cancel(alert);
+                }
+                return;
+            }
+
+            alert.misses = 0;
+            evaluate(alert, arrival.eta);
+        });
+    }
+
+    /**
+     * Check alerts against arrival predictions for a stop
+     */
+    function checkArrivals(stop, arrivals) {
+        arrivals.forEach(arrival => {
+            const alert = alerts.get(alertKey(arrival.busId, stop.id));
+            if (alert) {
+                evaluate(alert, arrival.eta);
+            }
+        });
+    }
+
+    /**
+     * Notify once when it's time to walk to the stop for the first bus that can still be caught
+     * Only runs if the user turned on leave alerts.
+     */
+    function checkLeaveTimes(stop, arrivals, walkMinutes) {
+        if (!Storage.getLeaveAlerts() || walkMinutes === null) return;
+
+        const next = arrivals.find(arrival => {
+            const advice = Walking.classify(arrival.eta, walkMinutes);
+            return advice && advice.id !== 'miss';
+        });
+        if (!next || Walking.classify(next.eta, walkMinutes).id !== 'leave') return;
+
+        const key = alertKey(next.busId, stop.id);
+        if (leaveNotified.has(key)) return;
+        leaveNotified.add(key);
+
+        show(
+            `Leave now for ${next.busName}`,
+            `${next.routeName || 'Bus'} reaches ${stop.name} in ${next.eta} min · ${walkMinutes} min walk`
+        );
+    }
+
+    function evaluate(alert, eta) {
+        if (eta === undefined || eta === null || eta > alert.minutes) return;
+
+        alerts.delete(alertKey(alert.busId, alert.stop.id));
+        notify();
+
+        const title = eta <= 0
+            ? `${alert.busName} is arriving`
+            : `${alert.busName} is ${eta} min away`;
+        show(title, `${alert.routeName || 'Bus'} to ${alert.stop.name}`);
+    }
+
+    function cancel(alert) {
+        alerts.delete(alertKey(alert.busId, alert.stop.id));
+        notify();
+
+        console.log(`Alert cancelled: ${alert.busName} left the route`);
+        UI.showToast(`${alert.busName} left the route · alert cancelled`);
+    }
+
+    /**
+     * Show a system notification, or a toast if notifications aren't allowed
+     */
+    function show(title, body) {
+        if (navigator.vibrate) {
+            navigator.vibrate(VIBRATION_PATTERN);
+        }
+
+        if ('Notification' in window && Notification.permission === 'granted') {
+            try {
+                new Notification(title, { body, icon: 'icons/icon.svg', tag: 'bus-arrival' });
+                return;
+            } catch (error) {
+                // Some mobile browsers only allow notifications from a service worker
+                console.log('Notification failed:', error.message);
+            }
+        }
+
+        UI.showToast(`${title} · ${body}`);
+    }
+
+    async function requestPermission() {
+        if (!('Notification' in window) || Notification.permission !== 'default') return;
+        try {
+            await Notification.requestPermission();
+        } catch (error) {
+            console.log('Notification permission request failed:', error.message);
+        }
+    }
+
+    /**
+     * Listen for alerts being added or removed
+     */
+    function onChange(callback) {
+        listeners.push(callback);
+    }
+
+    function notify() {
+        listeners.forEach(callback => callback());
+    }
+
+    // Public API
+    return {
+        add,
+        remove,
+        has,
+        hasAlerts,
+        clear,
+        check,
+        checkArrivals,
+        checkLeaveTimes,
+        requestPermission,
+        onChange
+    };
+})();
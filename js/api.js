@@ -1,272 +1,275 @@
 /**
- * API module for PassioGo bus tracking
+ * API module for bus tracking, backed by the data provider selected in Config
  */
 const API = (function() {
-    const WORKER_URL = 'https://morning-art-5b6bpassio-proxy.stoicbats.workers.dev';
-    const SYSTEM_ID = '6986'; // Harvard LMA system ID
-
-    // Friendly name mappings for stops
-    const FRIENDLY_NAMES = {
-        // HMS / Longwood Medical Area
-        'vanderbilt hall': 'HMS (Vanderbilt)',
-        'hms vanderbilt': 'HMS (Vanderbilt)',
-        'longwood': 'Longwood Medical',
-        'brigham': 'Brigham & Women\'s',
-        'children\'s hospital': 'Children\'s Hospital',
-        'dana farber': 'Dana-Farber',
-        'joslin': 'Joslin Diabetes',
-        'beth israel': 'Beth Israel',
-
-        // Harvard Campus
-        'mass ave at smith campus center': 'Harvard Square',
-        'smith campus center': 'Harvard Square',
-        'harvard square': 'Harvard Square',
-        'cambridge': 'Cambridge',
-
-        // Other
-        'kenmore': 'Kenmore',
-        'fenway': 'Fenway',
-        'ruggles': 'Ruggles Station',
-        'roxbury crossing': 'Roxbury Crossing',
-        'nubian': 'Nubian Square',
-        'dudley': 'Nubian Square',
-        'boylston': 'Boylston St',
-        'coolidge corner': 'Coolidge Corner',
-        'brookline': 'Brookline'
+    // Data providers by Config.provider name; each implements getRoutes, getStops, getBuses and
+    // getStopArrivals, and optionally getStopSchedule and getAlerts
+    const PROVIDERS = {
+        passio: PassioProvider,
+        gtfs: GtfsProvider
     };
+    const MAX_STOP_OFFSET_KM = 0.1; // Stops further than this from a route aren't served by it
+    const MAX_BUS_OFFSET_KM = 0.2; // Buses further than this from their route are off-route (e.g. deadheading)
+    const MAX_UPCOMING_STOPS = 8;
+    const STALE_AFTER_SECONDS = 120; // Buses silent for longer are shown ghosted and left out of ETAs
+    const CACHE_KEY = 'lma_bus_tracker_data_cache';
+
+    // Set when routes or stops came from the offline cache instead of the network
+    let staleSince = null;
+    let provider = null;
+    let currentSystem = null;
 
     /**
-     * Get friendly name for a stop
+     * Switch to another transit system
+     * @param {Object} system - System from getSystems/Config.systems
      */
-    function getFriendlyName(originalName) {
-        if (!originalName) return originalName;
+    function setSystem(system) {
+        currentSystem = system;
+        provider = null;
+        staleSince = null;
+    }
 
-        const lowerName = originalName.toLowerCase();
+    /**
+     * Get the current transit system
+     */
+    function getSystem() {
+        return currentSystem;
+    }
 
-        // Check for matches in our mapping
-        for (const [key, friendly] of Object.entries(FRIENDLY_NAMES)) {
-            if (lowerName.includes(key)) {
-                return friendly;
-            }
+    /**
+     * List the systems the user can pick from
+     * Configured systems first, then (optionally) every other PassioGo system.
+     */
+    async function getSystems() {
+        const systems = [...Config.systems];
+        if (!Config.listAllPassioSystems) {
+            return systems;
         }
 
-        // Clean up common patterns if no mapping found
-        let cleaned = originalName
-            .replace(/_\d+$/, '')           // Remove trailing _1, _2 etc
-            .replace(/\(Southbound\)/gi, '(South)')
-            .replace(/\(Northbound\)/gi, '(North)')
-            .replace(/\(Eastbound\)/gi, '(East)')
-            .replace(/\(Westbound\)/gi, '(West)')
-            .replace(/\(Inbound\)/gi, '')
-            .replace(/\(Outbound\)/gi, '')
-            .trim();
-
-        return cleaned;
+        try {
+            const known = new Set(systems.map(s => String(s.id)));
+            const passioSystems = await PassioProvider.listSystems(Config.providers.passio);
+            passioSystems
+                .filter(s => !known.has(s.id))
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .forEach(s => systems.push(createPassioSystem(s.id, s.name)));
+        } catch (error) {
+            console.error('Failed to list PassioGo systems:', error);
+        }
+        return systems;
     }
 
     /**
-     * Make a request through Cloudflare Worker
+     * Build a system entry for a PassioGo system that isn't in Config.systems
      */
-    async function postRequest(endpoint, body) {
-        const response = await fetch(`${WORKER_URL}?endpoint=${encodeURIComponent(endpoint)}`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-            body: `json=${encodeURIComponent(JSON.stringify(body))}`
-        });
-
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
-        }
+    function createPassioSystem(systemId, name) {
+        return {
+            id: String(systemId),
+            name: name || `System ${systemId}`,
+            provider: 'passio',
+            options: { systemId: String(systemId) }
+        };
+    }
 
-        const text = await response.text();
-        if (!text || text.trim() === '') return null;
-        return JSON.parse(text);
+    /**
+     * Get the data provider for the current system
+     */
+    function getProvider() {
+        if (!provider) {
+            const system = currentSystem;
+            const factory = PROVIDERS[system.provider];
+            if (!factory) {
+                throw new Error(`Unknown data provider: ${system.provider}`);
+            }
+            provider = factory.create({ ...Config.providers[system.provider], ...system.options });
+        }
+        return provider;
     }
 
     /**
-     * Fetch all routes for the system
+     * Save a parsed payload as the last-known copy for offline use
      */
-    async function getRoutes() {
-        const data = await postRequest('getRoutes=2', {
-            systemSelected0: parseInt(SYSTEM_ID),
-            amount: 1
-        });
-
-        if (!data) {
-            console.error('No data returned from routes API');
-            return [];
+    function saveToCache(name, data) {
+        try {
+            const cache = JSON.parse(localStorage.getItem(CACHE_KEY) || '{}');
+            cache[`${currentSystem.id}:${name}`] = { data: data, savedAt: Date.now() };
+            localStorage.setItem(CACHE_KEY, JSON.stringify(cache));
+        } catch (e) {
+            console.error('Failed to cache', name, e);
         }
+    }
 
-        // Routes are in data.all array
-        const routesArray = data.all || [];
-        console.log('Raw routes:', routesArray.length);
-
-        return routesArray.map(route => ({
-            id: route.myid || route.id,
-            name: route.name || route.longName || `Route ${route.id}`,
-            shortName: route.shortName || route.name,
-            color: route.color || '#4a90d9',
-            points: parseRoutePoints(route.points),
-            groupId: route.groupId,
-            active: true
-        }));
+    /**
+     * Load the last-known copy of a payload
+     */
+    function loadFromCache(name) {
+        try {
+            const cache = JSON.parse(localStorage.getItem(CACHE_KEY) || '{}');
+            return cache[`${currentSystem.id}:${name}`] || null;
+        } catch (e) {
+            console.error('Failed to read cached', name, e);
+            return null;
+        }
     }
 
     /**
-     * Parse route points string into coordinates array
+     * Fetch a payload, keeping a copy for offline use
+     * Falls back to the last-known copy when the network fails or returns nothing.
      */
-    function parseRoutePoints(pointsStr) {
-        if (!pointsStr) return [];
+    async function fetchWithCache(name, fetcher) {
+        // Recorded data shouldn't replace the live offline copies
+        if (Recorder.isReplaying()) {
+            return fetcher();
+        }
 
-        const points = [];
-        const parts = pointsStr.split(',');
+        let data = null;
+        let fetchError = null;
 
-        for (let i = 0; i < parts.length - 1; i += 2) {
-            const lat = parseFloat(parts[i]);
-            const lng = parseFloat(parts[i + 1]);
-            if (!isNaN(lat) && !isNaN(lng)) {
-                points.push([lat, lng]);
-            }
+        try {
+            data = await fetcher();
+        } catch (error) {
+            fetchError = error;
+        }
+
+        if (data && data.length > 0) {
+            saveToCache(name, data);
+            return data;
         }
 
-        return points;
+        const cached = loadFromCache(name);
+        if (cached) {
+            console.log(`Using cached ${name} from`, new Date(cached.savedAt).toLocaleString());
+            staleSince = staleSince ? Math.min(staleSince, cached.savedAt) : cached.savedAt;
+            return cached.data;
+        }
+
+        if (fetchError) {
+            throw fetchError;
+        }
+        return data || [];
+    }
+
+    /**
+     * Whether routes/stops are last-known copies, and when they were saved
+     */
+    function getDataStatus() {
+        return {
+            stale: staleSince !== null,
+            savedAt: staleSince
+        };
+    }
+
+    /**
+     * Fetch all routes for the system
+     */
+    function getRoutes() {
+        return fetchWithCache('routes', fetchRoutes);
     }
 
     /**
      * Fetch all stops for the system
      */
     async function getStops() {
-        const data = await postRequest('getStops=2', {
-            s0: SYSTEM_ID,
-            sA: 1
-        });
-
-        if (!data || !data.stops) {
-            console.error('No stops data returned');
-            return [];
-        }
+        // Names are applied after caching so dictionary and rename changes reach cached stops
+        const [stops] = await Promise.all([
+            fetchWithCache('stops', fetchStops),
+            Naming.load(currentSystem)
+        ]);
+        return Naming.nameStops(stops);
+    }
 
-        // Stops are returned as an object with ID keys like "ID207691"
-        const stopsObj = data.stops;
-        const stops = [];
-
-        for (const key in stopsObj) {
-            if (stopsObj.hasOwnProperty(key)) {
-                const stop = stopsObj[key];
-                const originalName = stop.name || `Stop ${stop.id}`;
-                stops.push({
-                    id: stop.id || stop.stopId,
-                    name: getFriendlyName(originalName),
-                    originalName: originalName,
-                    latitude: parseFloat(stop.latitude),
-                    longitude: parseFloat(stop.longitude),
-                    routeId: stop.routeId,
-                    routeName: stop.routeName,
-                    color: stop.color || '#666666'
-                });
+    /**
+     * Re-fetch routes and stops to refresh the offline copies once back online
+     * @returns {boolean} Whether both were fetched from the network
+     */
+    async function refreshCachedData() {
+        try {
+            const [routesData, stopsData] = await Promise.all([fetchRoutes(), fetchStops()]);
+            if (routesData.length === 0 || stopsData.length === 0) {
+                return false;
             }
+            saveToCache('routes', routesData);
+            saveToCache('stops', stopsData);
+            staleSince = null;
+            return true;
+        } catch (error) {
+            console.log('Still unable to refresh routes and stops:', error.message);
+            return false;
         }
+    }
+
+    /**
+     * Fetch all routes for the system from the network
+     */
+    async function fetchRoutes() {
+        const routes = await getProvider().getRoutes();
+        return routes.map(route => ({ ...route, active: true }));
+    }
 
-        console.log('Parsed stops:', stops.length);
-        return stops;
+    /**
+     * Fetch all stops for the system from the network
+     */
+    async function fetchStops() {
+        const stops = await getProvider().getStops();
+        return stops.map(stop => ({
+            ...stop,
+            originalName: stop.name
+        }));
     }
 
     /**
      * Fetch current bus positions
      */
-    async function getBuses() {
-        const data = await postRequest('getBuses=1', {
-            s0: SYSTEM_ID,
-            sA: 1
-        });
+    function getBuses() {
+        return getProvider().getBuses();
+    }
 
-        if (!data || !data.buses) {
+    /**
+     * Fetch arrival predictions for a stop
+     */
+    async function getStopArrivals(stopId) {
+        try {
+            return await getProvider().getStopArrivals(stopId);
+        } catch (error) {
+            console.error('Failed to fetch arrivals:', error);
             return [];
         }
-
-        // Buses can be in different formats
-        let busesArray = [];
-
-        if (Array.isArray(data.buses)) {
-            busesArray = data.buses;
-        } else {
-            // It's an object with keys
-            for (const key in data.buses) {
-                if (data.buses.hasOwnProperty(key)) {
-                    const item = data.buses[key];
-                    if (Array.isArray(item)) {
-                        busesArray.push(...item);
-                    } else {
-                        busesArray.push(item);
-                    }
-                }
-            }
-        }
-
-        return busesArray.map(bus => ({
-            id: bus.busId || bus.id,
-            busName: bus.busName || bus.name || `Bus ${bus.busId || bus.id}`,
-            routeId: bus.routeId || bus.route,
-            latitude: parseFloat(bus.latitude),
-            longitude: parseFloat(bus.longitude),
-            heading: parseFloat(bus.heading) || 0,
-            speed: parseFloat(bus.speed) || 0,
-            paxLoad: bus.paxLoad || 0,
-            timestamp: bus.updated || bus.timestamp || Date.now()
-        }));
     }
 
     /**
-     * Fetch arrival predictions for a stop
+     * Fetch scheduled departures from a stop, for providers that publish a timetable
      */
-    async function getStopArrivals(stopId) {
+    async function getStopSchedule(stopId, date) {
+        const current = getProvider();
+        if (!current.getStopSchedule) return [];
+
         try {
-            const data = await postRequest('getStopArrivals=2', {
-                stop: stopId,
-                s0: SYSTEM_ID,
-                sA: 1
-            });
-
-            if (!data) {
-                return [];
-            }
+            return await current.getStopSchedule(stopId, date);
+        } catch (error) {
+            console.error('Failed to fetch schedule:', error);
+            return [];
+        }
+    }
 
-            let arrivals = [];
-
-            if (data.arrivals) {
-                if (Array.isArray(data.arrivals)) {
-                    arrivals = data.arrivals;
-                } else {
-                    for (const key in data.arrivals) {
-                        if (data.arrivals.hasOwnProperty(key)) {
-                            const item = data.arrivals[key];
-                            if (Array.isArray(item)) {
-                                arrivals.push(...item);
-                            } else {
-                                arrivals.push(item);
-                            }
-                        }
-                    }
-                }
-            }
+    /**
+     * Fetch service alerts, for providers that publish them
+     */
+    async function getAlerts() {
+        const current = getProvider();
+        if (!current.getAlerts) return [];
 
-            return arrivals.map(arrival => ({
-                busId: arrival.busId || arrival.bus,
-                busName: arrival.busName || `Bus ${arrival.busId}`,
-                routeId: arrival.routeId || arrival.route,
-                routeName: arrival.routeName,
-                eta: parseInt(arrival.eta || arrival.minutes) || 0,
-                scheduledTime: arrival.scheduledTime || arrival.scheduled,
-                timestamp: Date.now()
-            }));
+        try {
+            return await current.getAlerts();
         } catch (error) {
-            console.error('Failed to fetch arrivals:', error);
+            console.error('Failed to fetch alerts:', error);
             return [];
         }
     }
 
     /**
      * Calculate ETAs based on bus positions and stop location
+     * Distances follow the route polyline in the direction of travel, so buses
+     * that have already passed the stop (or whose route doesn't serve it) are skipped.
      * @param {Array} buses - All buses
      * @param {Object} stop - Target stop
      * @param {Array} routes - All routes
@@ -274,28 +277,31 @@ const API = (function() {
      */
     function calculateETAs(buses, stop, routes, filterRouteIds = null) {
         const routeMap = new Map();
-        routes.forEach(r => routeMap.set(r.id, r));
+        routes.forEach(r => routeMap.set(String(r.id), r));
 
-        // Filter buses by selected routes if filter is provided
-        let filteredBuses = buses;
+        // Filter buses by selected routes if filter is provided; positions gone stale can't give an ETA
+        let filteredBuses = buses.filter(bus => !isBusStale(bus));
         if (filterRouteIds && filterRouteIds.length > 0) {
-            filteredBuses = buses.filter(bus =>
+            filteredBuses = filteredBuses.filter(bus =>
                 filterRouteIds.includes(String(bus.routeId))
             );
         }
 
         return filteredBuses
             .map(bus => {
-                const distance = getDistanceKm(
-                    bus.latitude, bus.longitude,
-                    stop.latitude, stop.longitude
-                );
+                const route = routeMap.get(String(bus.routeId));
+                const position = locateOnRoute(bus, stop, route);
 
-                // Estimate ETA: assume average speed of 20 km/h in urban area
-                const avgSpeed = bus.speed > 0 ? Math.max(bus.speed * 1.6, 15) : 20;
-                const etaMinutes = Math.round((distance / avgSpeed) * 60);
+                if (!position) {
+                    return null;
+                }
 
-                const route = routeMap.get(bus.routeId);
+                // Learned segment speeds where available, otherwise assume urban traffic
+                const fallbackSpeed = bus.speed > 0 ? Math.max(bus.speed * 1.6, 15) : 20;
+                const etaSeconds = position.fromAlong === null
+                    ? (position.distance / fallbackSpeed) * 3600
+                    : SpeedModel.estimateSeconds(route, position.fromAlong, position.distance, fallbackSpeed);
+                const etaMinutes = Math.round(etaSeconds / 60);
 
                 return {
                     busId: bus.id,
@@ -304,15 +310,114 @@ const API = (function() {
                     routeName: route ? (route.shortName || route.name) : `Route ${bus.routeId}`,
                     routeColor: route ? route.color : '#4a90d9',
                     eta: etaMinutes,
-                    distance: distance,
+                    distance: position.distance,
                     speed: bus.speed,
-                    timestamp: Date.now()
+                    crowding: Occupancy.getCrowding(bus),
+                    timestamp: bus.timestamp || Recorder.getReplayTime()
                 };
             })
+            .filter(Boolean)
             .sort((a, b) => a.eta - b.eta)
             .slice(0, 10);
     }
 
+    /**
+     * Stops a bus will reach next on its route, in order, with ETAs
+     * @param {Object} bus - The bus
+     * @param {Array} stops - All stops
+     * @param {Array} routes - All routes
+     * @returns {Array} [{ stop, eta, distance }] nearest first
+     */
+    function getUpcomingStops(bus, stops, routes, limit = MAX_UPCOMING_STOPS) {
+        const seen = new Set();
+        return stops
+            .filter(stop => {
+                if (String(stop.routeId) !== String(bus.routeId) || seen.has(String(stop.id))) return false;
+                seen.add(String(stop.id));
+                return true;
+            })
+            .map(stop => {
+                const arrival = calculateETAs([bus], stop, routes)[0];
+                return arrival ? { stop, eta: arrival.eta, distance: arrival.distance } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, limit);
+    }
+
+    /**
+     * Find where a bus is on its route and how far it still has to travel to a stop
+     * Returns null if the bus has passed the stop, is off its route, or its
+     * route doesn't pass the stop. Routes without a polyline fall back to
+     * straight-line distance with fromAlong set to null.
+     */
+    function locateOnRoute(bus, stop, route) {
+        if (!route || !route.points || route.points.length < 2) {
+            return {
+                fromAlong: null,
+                distance: getDistanceKm(bus.latitude, bus.longitude, stop.latitude, stop.longitude)
+            };
+        }
+
+        const stopAlong = getStopPosition(stop, route);
+        if (stopAlong === null) {
+            return null;
+        }
+
+        const busPosition = RouteGeometry.project(route.points, bus.latitude, bus.longitude, bus.heading);
+        if (!busPosition || busPosition.offset > MAX_BUS_OFFSET_KM) {
+            return null;
+        }
+
+        const distance = RouteGeometry.distanceBetween(route.points, busPosition.along, stopAlong);
+        if (distance === null) {
+            return null;
+        }
+
+        return { fromAlong: busPosition.along, distance: distance };
+    }
+
+    /**
+     * Seconds since a bus last reported its position, or null if it didn't say
+     */
+    function getBusAge(bus, now = Recorder.getReplayTime()) {
+        if (!bus || !bus.timestamp) return null;
+        return Math.max(0, Math.round((now - bus.timestamp) / 1000));
+    }
+
+    /**
+     * Whether a bus's position is too old to trust
+     */
+    function isBusStale(bus, now = Recorder.getReplayTime()) {
+        const age = getBusAge(bus, now);
+        return age !== null && age > STALE_AFTER_SECONDS;
+    }
+
+    /**
+     * Distance along a route's polyline at which it passes a stop
+     * Returns null if the route has no polyline or doesn't pass the stop.
+     */
+    function getStopPosition(stop, route) {
+        if (!route || !route.points || route.points.length < 2) {
+            return null;
+        }
+
+        const position = RouteGeometry.project(route.points, stop.latitude, stop.longitude);
+        if (!position || position.offset > MAX_STOP_OFFSET_KM) {
+            return null;
+        }
+        return position.along;
+    }
+
+    /**
+     * Distance a bus still has to travel along its route to reach a stop
+     * Returns null if the bus won't reach the stop on its current trip.
+     */
+    function getRouteDistanceKm(bus, stop, route) {
+        const position = locateOnRoute(bus, stop, route);
+        return position ? position.distance : null;
+    }
+
     /**
      * Calculate distance between two points in kilometers
      */
@@ -329,12 +434,24 @@ const API = (function() {
 
     // Public API
     return {
+        setSystem,
+        getSystem,
+        getSystems,
+        createPassioSystem,
         getRoutes,
         getStops,
+        getDataStatus,
+        refreshCachedData,
         getBuses,
         getStopArrivals,
+        getStopSchedule,
+        getAlerts,
         calculateETAs,
-        getDistanceKm,
-        getFriendlyName
+        getUpcomingStops,
+        getRouteDistanceKm,
+        getStopPosition,
+        getBusAge,
+        isBusStale,
+        getDistanceKm
     };
 })();
@@ -2,16 +2,25 @@
  * Main application module
  */
 const App = (function() {
-    const BUS_REFRESH_INTERVAL = 5000; // 5 seconds
-    const ARRIVALS_REFRESH_INTERVAL = 10000; // 10 seconds
-
+    const BUS_REFRESH_INTERVAL = 5000; // 5 seconds while a bus is close
+    const BUS_IDLE_REFRESH_INTERVAL = 15000; // 15 seconds otherwise
+    const ARRIVALS_REFRESH_INTERVAL = 10000; // 10 seconds while a bus is close
+    const ARRIVALS_IDLE_REFRESH_INTERVAL = 30000; // 30 seconds otherwise
+    const NEAR_BUS_MINUTES = 5; // A bus this close to the selected stop speeds up polling
+    const SERVICE_REFRESH_INTERVAL = 60000; // 1 minute
+    const NEARBY_RADIUS_KM = 0.8; // About a 10 minute walk
+    const MAX_NEARBY_STOPS = 5;
+    const MAX_NEARBY_ARRIVALS = 3;
+
+    let systems = [];
     let routes = [];
     let stops = [];
     let buses = [];
+    let lastArrivals = [];
+    let stopPredictions = null; // { stopId, arrivals, fetchedAt } - the provider's latest for the selected stop
     let userLocation = null;
-    let busRefreshInterval = null;
-    let arrivalsRefreshInterval = null;
     let watchPositionId = null;
+    let isConnected = true;
 
     /**
      * Initialize the application
@@ -19,6 +28,9 @@ const App = (function() {
     async function init() {
         console.log('Initializing LMA Bus Tracker...');
 
+        // Cache the app for offline use
+        registerServiceWorker();
+
         // Initialize map
         MapManager.init();
 
@@ -28,9 +40,33 @@ const App = (function() {
         // Initialize UI
         UI.init();
 
+        // Polling pauses while the page is hidden and slows on low battery
+        Scheduler.init();
+
+        // Show connection health in the header
+        Http.init();
+        Http.onChange(UI.setConnectionStatus);
+        UI.setConnectionStatus(Http.getStatus());
+
+        // Apply settings shared as a link (?settings=) before anything reads them
+        importSettingsFromUrl();
+
+        // Replay a recorded session instead of the live feed if asked to (?replay)
+        Recorder.onChange(handleRecorderChange);
+        const replaying = await Recorder.init();
+
+        // Use the saved transit system, or the one a replay was recorded on
+        const replaySystem = replaying ? Recorder.getReplaySystem() : null;
+        applySystem(replaySystem || getSavedSystem());
+
+        // Load learned segment speeds for ETA estimates
+        await SpeedModel.init();
+
         // Setup UI callbacks
         UI.onSearch(handleSearch);
         UI.onMyLocation(handleMyLocation);
+        UI.onSystemChange(switchSystem);
+        UI.onViewChange(handleViewChange);
 
         // Load initial data
         await loadInitialData();
@@ -41,44 +77,115 @@ const App = (function() {
             MapManager.filterByRoutes(selectedRoutes);
         }
 
+        // Apply settings changes in place
+        Storage.onChange(handleSettingsChange);
+
+        // Follow browser back/forward between views
+        Router.init();
+        Router.onChange(applyRoute);
+
         // Start bus position polling
         startBusPolling();
 
+        // Keep alerts and "resumes at" notices current
+        Scheduler.start('service', refreshService, SERVICE_REFRESH_INTERVAL, { immediate: false });
+
+        // Fill the system picker (may include every PassioGo system)
+        loadSystemList();
+
+        // Track connectivity for the offline banner
+        window.addEventListener('online', () => Scheduler.run('buses'));
+        window.addEventListener('offline', () => setConnected(false));
+
         // Try to get user location
         requestUserLocation();
 
-        // Auto-show arrivals if defaults are saved (with small delay to ensure UI is ready)
+        // Open the view in the URL (a shared link), or else the favorite trip
+        // for now (with small delay to ensure UI is ready)
         setTimeout(() => {
-            autoShowArrivals();
+            if (!applyRoute(Router.getState())) {
+                autoShowArrivals();
+            }
         }, 200);
     }
 
     /**
-     * Automatically show arrivals if user has saved default stops
+     * Open the view described by a URL hash (see Router)
+     * @returns {boolean} Whether a stop or bus view was opened
+     */
+    function applyRoute(state) {
+        return Router.restore(() => {
+            const sourceStop = state.source ? stops.find(s => String(s.id) === state.source) : null;
+            const destStop = state.dest ? stops.find(s => String(s.id) === state.dest) : null;
+            const bus = state.bus ? buses.find(b => String(b.id) === state.bus) : null;
+
+            // The link's route filter (read from the URL by getRouteFilter) applies while it's open
+            MapManager.filterByRoutes(getRouteFilter());
+
+            if (sourceStop) {
+                UI.showDetailsView(sourceStop, destStop || null, userLocation);
+            }
+
+            if (bus) {
+                handleBusClick(bus);
+                return true;
+            }
+            if (state.bus) {
+                UI.showToast('That bus is no longer running');
+            }
+
+            if (!sourceStop) {
+                if (UI.getCurrentView() !== 'selection') {
+                    UI.showSelectionView();
+                }
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Import settings from a shared link, after asking, and drop them from the URL
+     */
+    function importSettingsFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const encoded = params.get('settings');
+        if (!encoded) return;
+
+        params.delete('settings');
+        const query = params.toString();
+        window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+
+        if (!window.confirm('Replace your settings with the ones from this link?')) return;
+
+        try {
+            Storage.importSettings(Storage.decodeSettings(encoded));
+            UI.showToast('Settings imported');
+        } catch (error) {
+            console.error('Failed to import settings from link:', error);
+            UI.showToast(`Could not import settings: ${error.message}`);
+        }
+    }
+
+    /**
+     * Automatically show arrivals for the favorite trip that fits the current time
      */
     function autoShowArrivals() {
-        const defaultSourceId = Storage.getDefaultSource();
-        const defaultDestId = Storage.getDefaultDest();
+        const favorite = Favorites.pick(Storage.getFavorites(), new Date());
 
-        console.log('Checking auto-show: source=', defaultSourceId, 'dest=', defaultDestId);
+        console.log('Checking auto-show: favorite=', favorite && favorite.name);
 
-        if (defaultSourceId) {
-            const sourceStop = stops.find(s => String(s.id) === String(defaultSourceId));
-            const destStop = defaultDestId ? stops.find(s => String(s.id) === String(defaultDestId)) : null;
+        if (favorite) {
+            const sourceStop = stops.find(s => String(s.id) === String(favorite.source));
+            const destStop = favorite.dest ? stops.find(s => String(s.id) === String(favorite.dest)) : null;
 
             console.log('Found stops:', sourceStop?.name, destStop?.name);
 
             if (sourceStop) {
                 console.log('Auto-showing arrivals for:', sourceStop.name);
 
-                // Show details view immediately
+                // Show details view immediately; arrivals load as it opens
                 UI.showDetailsView(sourceStop, destStop, userLocation, true);
-
-                // Fetch and display arrivals
-                refreshArrivals(sourceStop);
-
-                // Start arrivals polling
-                startArrivalsPolling(sourceStop);
             }
         }
     }
@@ -98,6 +205,14 @@ const App = (function() {
 
             console.log(`Loaded ${routes.length} routes and ${stops.length} stops`);
 
+            // Label the UI if routes/stops came from the offline cache
+            updateOfflineMode();
+
+            // Systems without a configured center start zoomed to their stops
+            if (!API.getSystem().center) {
+                MapManager.fitToStops(stops);
+            }
+
             // Add routes to map
             MapManager.addRoutes(routes);
 
@@ -107,6 +222,9 @@ const App = (function() {
             // Populate UI dropdowns
             UI.populateStops(stops, routes);
 
+            // Alerts load alongside the first bus positions
+            refreshService();
+
             // Initial bus fetch
             await refreshBuses();
 
@@ -116,6 +234,195 @@ const App = (function() {
         }
     }
 
+    /**
+     * Get the transit system saved in settings
+     */
+    function getSavedSystem() {
+        const systemId = Storage.getSystemId();
+        const configured = Config.systems.find(s => String(s.id) === systemId);
+        if (configured) {
+            return configured;
+        }
+
+        // A PassioGo system picked from the full list
+        const saved = Storage.getSystem();
+        return API.createPassioSystem(systemId, saved && saved.name);
+    }
+
+    /**
+     * Point the API, map and header at a transit system
+     */
+    function applySystem(system) {
+        API.setSystem(system);
+        MapManager.setDefaultView(system.center, system.zoom);
+        UI.setSystem(system);
+    }
+
+    /**
+     * Load the systems offered in the settings picker
+     */
+    async function loadSystemList() {
+        const current = API.getSystem();
+        const withCurrent = list => (
+            list.some(s => String(s.id) === String(current.id)) ? list : [current, ...list]
+        );
+
+        // Configured systems right away, the full list once it arrives
+        systems = withCurrent([...Config.systems]);
+        UI.populateSystems(systems, current.id);
+
+        systems = withCurrent(await API.getSystems());
+        UI.populateSystems(systems, API.getSystem().id);
+    }
+
+    /**
+     * Switch to another transit system without reloading the page
+     */
+    async function switchSystem(system) {
+        if (String(system.id) === String(API.getSystem().id)) return;
+
+        if (Recorder.isReplaying()) {
+            UI.showToast('Cannot switch systems during a replay');
+            UI.populateSystems(systems, API.getSystem().id);
+            return;
+        }
+
+        console.log('Switching to system:', system.name);
+
+        stopBusPolling();
+        stopArrivalsPolling();
+        Alerts.clear();
+        Service.clearAlerts();
+        lastArrivals = [];
+        stopPredictions = null;
+        Predictions.clear();
+
+        // Tear down the old system's markers and data
+        MapManager.clear();
+        routes = [];
+        stops = [];
+        buses = [];
+
+        // Save after switching so the settings change isn't taken for another switch
+        applySystem(system);
+        Storage.setSystem(system);
+        UI.showSelectionView();
+
+        await loadInitialData();
+
+        const selectedRoutes = getRouteFilter();
+        if (selectedRoutes.length > 0) {
+            MapManager.filterByRoutes(selectedRoutes);
+        }
+
+        startBusPolling();
+        UI.populateSystems(systems, system.id);
+        UI.showToast(`Switched to ${system.name}`);
+    }
+
+    /**
+     * Apply changed settings without reloading
+     * @param {Array} changes - Names of the changed settings
+     */
+    function handleSettingsChange(changes) {
+        // Another system (after an undo, import or clear) means starting over;
+        // switchSystem saves the system itself once it has switched
+        if (changes.includes('system')) {
+            if (Storage.getSystemId() !== String(API.getSystem().id) && !Recorder.isReplaying()) {
+                switchSystem(getSavedSystem());
+            }
+            return;
+        }
+
+        if (changes.includes('selectedRoutes')) {
+            // The saved filter replaces one from a shared link
+            Router.replace({ ...Router.getState(), routes: Storage.getSelectedRoutes() });
+            MapManager.filterByRoutes(getRouteFilter());
+            refreshService();
+            refreshNearby();
+        }
+
+        if (changes.includes('stopNames')) {
+            // Rename in place so every view holding a stop shows the new name
+            stops.forEach(stop => {
+                stop.name = Naming.describe(stop).name;
+            });
+            refreshNearby();
+        }
+
+        UI.applySettings(changes);
+
+        // Arrivals depend on the route filter and whether full buses are shown
+        const { source } = UI.getSelectedStops();
+        const affectsArrivals = changes.includes('selectedRoutes') || changes.includes('hideFullBuses');
+        if (affectsArrivals && UI.getCurrentView() === 'details' && source) {
+            Scheduler.run('arrivals');
+        }
+    }
+
+    /**
+     * React to recording/replay changes: replays poll faster at higher speeds
+     */
+    function handleRecorderChange() {
+        UI.updateRecorderStatus();
+
+        if (Recorder.isReplaying()) {
+            Scheduler.reschedule();
+        }
+    }
+
+    /**
+     * Poll arrivals only while the arrivals view is open
+     */
+    function handleViewChange(view) {
+        const { source } = UI.getSelectedStops();
+        if (view === 'details' && source) {
+            startArrivalsPolling(source);
+        } else {
+            stopArrivalsPolling();
+        }
+        Scheduler.reschedule();
+    }
+
+    /**
+     * Register the service worker that caches the app shell
+     */
+    function registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) {
+            console.log('Service workers not supported');
+            return;
+        }
+
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    }
+
+    /**
+     * Record whether the worker is reachable and refresh stale data once it is
+     */
+    function setConnected(connected) {
+        const wasConnected = isConnected;
+        isConnected = connected;
+
+        if (connected && !wasConnected) {
+            console.log('Connection restored');
+            if (API.getDataStatus().stale) {
+                API.refreshCachedData().then(updateOfflineMode);
+            }
+        }
+
+        updateOfflineMode();
+    }
+
+    /**
+     * Show or hide the offline / stale data banner
+     */
+    function updateOfflineMode() {
+        const status = API.getDataStatus();
+        UI.setOfflineMode(!isConnected || status.stale, status.savedAt);
+    }
+
     /**
      * Handle stop click on map
      */
@@ -164,20 +471,105 @@ const App = (function() {
         UI.showBusNavView(bus, route, nearestStop, userLocation);
     }
 
+    /**
+     * Keep a bus centered on the map with its upcoming stops listed
+     */
+    function followBus(busId) {
+        MapManager.followBus(busId, () => UI.setFollowing(false));
+        UI.setFollowing(true);
+        updateFollowedBus();
+    }
+
+    /**
+     * Refresh the followed bus's upcoming stops and the path to the last of them
+     */
+    function updateFollowedBus() {
+        const busId = MapManager.getFollowedBusId();
+        const bus = buses.find(b => String(b.id) === busId);
+
+        if (!bus) {
+            MapManager.unfollowBus();
+            UI.setFollowing(false);
+            UI.showToast('The bus stopped reporting its position');
+            return;
+        }
+
+        const upcoming = API.getUpcomingStops(bus, stops, routes);
+        UI.updateUpcomingStops(upcoming);
+        MapManager.setFollowPath(upcoming.length > 0 ? upcoming[upcoming.length - 1].distance : 0);
+    }
+
+    /**
+     * Stops within walking distance on the visible routes, nearest first, each with its next arrivals
+     * Stops sharing a name (one per route) are listed once.
+     * @returns {Array} [{ stop, distance, walkMinutes, arrivals }]
+     */
+    function getNearbyStops() {
+        if (!userLocation) return [];
+
+        const selectedRoutes = getRouteFilter();
+        const groups = new Map();
+
+        stops.forEach(stop => {
+            if (selectedRoutes.length > 0 && !selectedRoutes.includes(String(stop.routeId))) return;
+
+            const distance = API.getDistanceKm(userLocation.lat, userLocation.lng, stop.latitude, stop.longitude);
+            if (distance > NEARBY_RADIUS_KM) return;
+
+            const group = groups.get(stop.name);
+            if (!group) {
+                groups.set(stop.name, { stop, distance, members: [stop] });
+            } else {
+                group.members.push(stop);
+                if (distance < group.distance) {
+                    group.stop = stop;
+                    group.distance = distance;
+                }
+            }
+        });
+
+        return Array.from(groups.values())
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, MAX_NEARBY_STOPS)
+            .map(({ stop, distance, members }) => ({
+                stop,
+                distance,
+                walkMinutes: Walking.getWalkMinutes(userLocation, stop),
+                arrivals: soonestPerBus(members.flatMap(member => API.calculateETAs(buses, member, routes, selectedRoutes)))
+                    .slice(0, MAX_NEARBY_ARRIVALS)
+            }));
+    }
+
+    /**
+     * One arrival per bus, the soonest, e.g. when a bus passes several stops of a group
+     */
+    function soonestPerBus(arrivals) {
+        const byBus = new Map();
+        arrivals.forEach(arrival => {
+            const key = String(arrival.busId);
+            if (!byBus.has(key) || arrival.eta < byBus.get(key).eta) {
+                byBus.set(key, arrival);
+            }
+        });
+        return Array.from(byBus.values()).sort((a, b) => a.eta - b.eta);
+    }
+
+    /**
+     * Update the "Near me" panel while the stop picker is open
+     */
+    function refreshNearby() {
+        if (UI.getCurrentView() !== 'selection') return;
+        UI.updateNearbyStops(getNearbyStops(), (stop) => handleSearch(stop, null));
+    }
+
     /**
      * Handle search button click
      */
     async function handleSearch(sourceStop, destStop) {
-        console.log('Searching for buses from', sourceStop.name);
+        console.log('Searching for buses from', sourceStop.name, destStop ? `to ${destStop.name}` : '');
 
-        // Show details view
+        // Show details view; arrivals load and poll while it's open
         UI.showDetailsView(sourceStop, destStop, userLocation);
-
-        // Fetch and display arrivals
-        await refreshArrivals(sourceStop);
-
-        // Start arrivals polling
-        startArrivalsPolling(sourceStop);
     }
 
     /**
@@ -211,6 +603,7 @@ const App = (function() {
                 };
                 MapManager.updateUserLocation(userLocation.lat, userLocation.lng);
                 UI.setLocationActive(true);
+                refreshNearby();
             },
             (error) => {
                 console.log('Geolocation error:', error.message);
@@ -229,19 +622,41 @@ const App = (function() {
      */
     async function refreshBuses() {
         try {
-            buses = await API.getBuses();
+            const system = API.getSystem();
+            const latestBuses = await API.getBuses();
+
+            // Ignore responses for a system the user has switched away from
+            if (system !== API.getSystem()) return;
+
+            buses = latestBuses;
+            setConnected(true);
             MapManager.updateBuses(buses, routes);
 
+            // Keep a followed bus's stop list and path current
+            if (MapManager.getFollowedBusId() !== null) {
+                updateFollowedBus();
+            }
+
+            // Arrival alerts run whichever view is open
+            Alerts.check(buses, routes);
+            refreshNearby();
+
+            // Learn segment speeds and loads from the new positions (replayed timing isn't real)
+            if (!Recorder.isReplaying()) {
+                SpeedModel.observe(buses, routes);
+                Occupancy.observe(buses);
+                Predictions.observe(buses, routes);
+            }
+
             // If we're in details view, refresh arrivals too
             const { source } = UI.getSelectedStops();
             if (UI.getCurrentView() === 'details' && source) {
-                const filteredRoutes = getRouteFilter();
-                const arrivals = API.calculateETAs(buses, source, routes, filteredRoutes);
-                UI.updateArrivals(arrivals, handleArrivalClick);
+                showArrivals(source, blendArrivals(source));
             }
 
         } catch (error) {
             console.error('Failed to refresh buses:', error);
+            setConnected(false);
         }
     }
 
@@ -256,86 +671,246 @@ const App = (function() {
     }
 
     /**
-     * Get the route filter from storage
+     * Show arrivals at the source stop, or trip options when a destination is selected
      */
-    function getRouteFilter() {
-        return Storage.getSelectedRoutes();
+    function showArrivals(stop, arrivals) {
+        const { destination } = UI.getSelectedStops();
+
+        // Optionally leave out buses with no room
+        const hideFull = Storage.getHideFullBuses();
+        const shownArrivals = hideFull ? arrivals.filter(a => !a.crowding || a.crowding.id !== 'full') : arrivals;
+        const shownBuses = hideFull ? buses.filter(bus => !Occupancy.isFull(bus)) : buses;
+
+        UI.setStopNotices(Service.getNotices(getStopRoutes(stop)));
+        lastArrivals = shownArrivals;
+
+        if (destination) {
+            const trips = TripPlanner.planTrips(stop, destination, {
+                stops,
+                routes,
+                buses: shownBuses,
+                arrivals: shownArrivals,
+                filterRouteIds: getRouteFilter()
+            });
+            UI.updateTrips(trips, handleArrivalClick);
+        } else {
+            UI.updateArrivals(shownArrivals, handleArrivalClick);
+        }
+
+        Alerts.checkArrivals(stop, arrivals);
+        Alerts.checkLeaveTimes(stop, shownArrivals, Walking.getWalkMinutes(userLocation, stop));
+        showTimetable(stop, shownArrivals);
     }
 
     /**
-     * Fetch arrivals for a specific stop
+     * Show the stop's timetable with live predictions, and the next scheduled
+     * trip for when no bus is live
      */
-    async function refreshArrivals(stop) {
+    async function showTimetable(stop, arrivals) {
+        const now = Recorder.getReplayTime();
+        const stopRoutes = getStopRoutes(stop);
+        const routeIds = stopRoutes.map(route => String(route.id));
+
+        // One schedule per physical stop; providers may list a stop once per route
+        const physical = new Map();
+        getStopGroup(stop).forEach(s => {
+            if (!physical.has(String(s.id))) {
+                physical.set(String(s.id), s);
+            }
+        });
+
+        let departures = [];
         try {
-            // Get route filter
-            const selectedRoutes = getRouteFilter();
+            const perStop = await Promise.all(
+                Array.from(physical.values()).map(s => Timetable.getDepartures(s, new Date(now), getServingRoutes(s)))
+            );
+            departures = perStop.flat()
+                .filter(departure => routeIds.includes(String(departure.routeId)))
+                .sort((a, b) => a.time - b.time);
+        } catch (error) {
+            console.error('Failed to load timetable:', error);
+        }
 
-            // First try the API endpoint
-            let arrivals = await API.getStopArrivals(stop.id);
+        // Ignore results for a stop the user has moved on from
+        const { source } = UI.getSelectedStops();
+        if (!source || String(source.id) !== String(stop.id)) return;
 
-            // If no arrivals from API, calculate from bus positions
-            if (!arrivals || arrivals.length === 0) {
-                arrivals = API.calculateETAs(buses, stop, routes, selectedRoutes);
-            } else {
-                // Add route colors to API arrivals and filter by selected routes
-                arrivals = arrivals
-                    .filter(arrival => {
-                        // If no filter, show all; otherwise filter by selected routes
-                        if (!selectedRoutes || selectedRoutes.length === 0) return true;
-                        return selectedRoutes.includes(String(arrival.routeId));
-                    })
-                    .map(arrival => {
-                        const route = routes.find(r => String(r.id) === String(arrival.routeId));
-                        return {
-                            ...arrival,
-                            routeColor: route ? route.color : '#4a90d9',
-                            routeName: arrival.routeName || (route ? (route.shortName || route.name) : `Route ${arrival.routeId}`)
-                        };
-                    });
-            }
+        UI.setNextScheduled(Timetable.getNext(departures, routeIds, now), stopRoutes);
+        UI.updateTimetable(Timetable.overlay(departures, arrivals, now), stopRoutes);
+    }
 
-            UI.updateArrivals(arrivals, handleArrivalClick);
+    /**
+     * Re-draw the timetable for the selected stop (e.g. when it's opened)
+     */
+    function refreshTimetable() {
+        const { source } = UI.getSelectedStops();
+        if (source) {
+            showTimetable(source, lastArrivals);
+        }
+    }
+
+    /**
+     * Fetch alerts and update the selection banner
+     */
+    async function refreshService() {
+        const system = API.getSystem();
+        await Service.refreshAlerts();
+        if (system !== API.getSystem()) return;
+
+        const selectedRoutes = getRouteFilter();
+        const shownRoutes = selectedRoutes.length > 0
+            ? routes.filter(route => selectedRoutes.includes(String(route.id)))
+            : routes;
+        UI.updateServiceBanner(Service.getNotices(shownRoutes));
+    }
+
+    /**
+     * A stop and the stops with the same name on other routes
+     */
+    function getStopGroup(stop) {
+        return stops.filter(s => String(s.id) === String(stop.id) || s.name === stop.name);
+    }
+
+    /**
+     * Every route serving one physical stop, ignoring the route filter
+     */
+    function getServingRoutes(stop) {
+        const routeIds = new Set(stops.filter(s => String(s.id) === String(stop.id)).map(s => String(s.routeId)));
+        return routes.filter(route => routeIds.has(String(route.id)));
+    }
+
+    /**
+     * Routes serving a stop, counting stops with the same name on other routes
+     */
+    function getStopRoutes(stop) {
+        const routeIds = new Set(getStopGroup(stop).map(s => String(s.routeId)));
+        const selectedRoutes = getRouteFilter();
+        return routes.filter(route =>
+            routeIds.has(String(route.id)) &&
+            (selectedRoutes.length === 0 || selectedRoutes.includes(String(route.id)))
+        );
+    }
+
+    /**
+     * Get the route filter: a shared link's while its view is open, otherwise the saved one
+     */
+    function getRouteFilter() {
+        const linked = Router.getState().routes;
+        return linked.length > 0 ? linked : Storage.getSelectedRoutes();
+    }
+
+    /**
+     * Fetch the provider's predictions for a stop and show them blended with computed ETAs
+     */
+    async function refreshArrivals(stop) {
+        try {
+            const predicted = await API.getStopArrivals(stop.id);
+            stopPredictions = {
+                stopId: String(stop.id),
+                arrivals: predicted || [],
+                fetchedAt: Recorder.getReplayTime()
+            };
+            showArrivals(stop, blendArrivals(stop));
             UI.updateRefreshTime();
 
         } catch (error) {
             console.error('Failed to refresh arrivals:', error);
             // Fall back to calculated ETAs
-            const filteredRoutes = getRouteFilter();
-            const arrivals = API.calculateETAs(buses, stop, routes, filteredRoutes);
-            UI.updateArrivals(arrivals, handleArrivalClick);
+            stopPredictions = null;
+            showArrivals(stop, blendArrivals(stop));
         }
     }
 
     /**
-     * Start polling for bus positions
+     * Arrivals at a stop from the provider's latest predictions and the current bus positions
      */
-    function startBusPolling() {
-        if (busRefreshInterval) {
-            clearInterval(busRefreshInterval);
+    function blendArrivals(stop) {
+        const selectedRoutes = getRouteFilter();
+        const computed = API.calculateETAs(buses, stop, routes, selectedRoutes);
+
+        let predicted = [];
+        if (stopPredictions && stopPredictions.stopId === String(stop.id)) {
+            // Predictions count down between fetches
+            const elapsed = (Recorder.getReplayTime() - stopPredictions.fetchedAt) / 60000;
+            predicted = stopPredictions.arrivals
+                .filter(arrival => {
+                    // If no filter, show all; otherwise filter by selected routes
+                    if (!selectedRoutes || selectedRoutes.length === 0) return true;
+                    return selectedRoutes.includes(String(arrival.routeId));
+                })
+                // Predictions for a bus that stopped reporting are guesses
+                .filter(arrival => !API.isBusStale(buses.find(b => String(b.id) === String(arrival.busId))))
+                .map(arrival => {
+                    const route = routes.find(r => String(r.id) === String(arrival.routeId));
+                    const bus = buses.find(b => String(b.id) === String(arrival.busId));
+                    return {
+                        ...arrival,
+                        eta: Math.max(0, Math.round(arrival.eta - elapsed)),
+                        timestamp: bus && bus.timestamp ? bus.timestamp : arrival.timestamp,
+                        crowding: Occupancy.getCrowding(bus),
+                        routeColor: route ? route.color : '#4a90d9',
+                        routeName: arrival.routeName || (route ? (route.shortName || route.name) : `Route ${arrival.routeId}`)
+                    };
+                });
         }
-        busRefreshInterval = setInterval(refreshBuses, BUS_REFRESH_INTERVAL);
+
+        const arrivals = Predictions.blend(predicted, computed);
+        if (!Recorder.isReplaying()) {
+            Predictions.track(stop, arrivals);
+        }
+        return arrivals;
     }
 
     /**
-     * Start polling for arrivals
+     * Whether a bus is about to reach the selected stop or is being followed,
+     * so positions and arrivals are worth refreshing often
+     */
+    function isBusNear() {
+        if (MapManager.getFollowedBusId() !== null) return true;
+        return UI.getCurrentView() === 'details' && lastArrivals.some(arrival => arrival.eta <= NEAR_BUS_MINUTES);
+    }
+
+    function getBusInterval() {
+        return (isBusNear() ? BUS_REFRESH_INTERVAL : BUS_IDLE_REFRESH_INTERVAL) / Recorder.getSpeed();
+    }
+
+    function getArrivalsInterval() {
+        return (isBusNear() ? ARRIVALS_REFRESH_INTERVAL : ARRIVALS_IDLE_REFRESH_INTERVAL) / Recorder.getSpeed();
+    }
+
+    /**
+     * Start polling for bus positions, after the first load has fetched them
+     * Keeps going in the background while an arrival alert needs them.
+     */
+    function startBusPolling() {
+        Scheduler.start('buses', refreshBuses, getBusInterval, {
+            immediate: false,
+            background: Alerts.hasAlerts
+        });
+    }
+
+    /**
+     * Stop polling for bus positions
+     */
+    function stopBusPolling() {
+        Scheduler.stop('buses');
+    }
+
+    /**
+     * Start polling for arrivals, fetching them now
+     * Keeps going in the background while leave alerts are on.
      */
     function startArrivalsPolling(stop) {
-        if (arrivalsRefreshInterval) {
-            clearInterval(arrivalsRefreshInterval);
-        }
-        arrivalsRefreshInterval = setInterval(() => {
-            refreshArrivals(stop);
-        }, ARRIVALS_REFRESH_INTERVAL);
+        Scheduler.start('arrivals', () => refreshArrivals(stop), getArrivalsInterval, {
+            background: Storage.getLeaveAlerts
+        });
     }
 
     /**
      * Stop polling for arrivals
      */
     function stopArrivalsPolling() {
-        if (arrivalsRefreshInterval) {
-            clearInterval(arrivalsRefreshInterval);
-            arrivalsRefreshInterval = null;
-        }
+        Scheduler.stop('arrivals');
     }
 
     /**
@@ -348,8 +923,12 @@ const App = (function() {
     // Public API
     return {
         init,
+        switchSystem,
         refreshBuses,
         refreshArrivals,
+        refreshTimetable,
+        followBus,
+        getRouteFilter,
         getUserLocation
     };
 })();
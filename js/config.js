@@ -0,0 +1,137 @@
+/**
+ * App configuration: transit systems and the data providers behind them
+ */
+
+/**
+ * 'HH:MM' times from start to end every few minutes, for writing out timetables
+ */
+function timesEvery(start, end, minutes) {
+    const toMinutes = time => time.split(':').map(Number).reduce((hours, mins) => hours * 60 + mins);
+    const times = [];
+    for (let time = toMinutes(start); time <= toMinutes(end); time += minutes) {
+        times.push(`${String(Math.floor(time / 60)).padStart(2, '0')}:${String(time % 60).padStart(2, '0')}`);
+    }
+    return times;
+}
+
+const Config = {
+    // System shown until the user picks another one
+    defaultSystem: '6986',
+
+    // Also offer every PassioGo system in the picker, not just the ones listed below
+    listAllPassioSystems: true,
+
+    // Settings shared by every system using a provider
+    providers: {
+        passio: {
+            workerUrl: 'https://morning-art-5b6bpassio-proxy.stoicbats.workers.dev'
+        },
+
+        gtfs: {
+            // Directory holding the extracted static feed (routes.txt, stops.txt, trips.txt, shapes.txt, stop_times.txt)
+            // Every file is downloaded whole, and stop_times.txt runs to tens of megabytes for a
+            // large agency, so point this at a feed trimmed to the routes you need
+            staticUrl: '',
+            // GTFS-Realtime feeds in their JSON encoding
+            vehiclePositionsUrl: '',
+            tripUpdatesUrl: '',
+            alertsUrl: '',
+            // Optional list of route_ids to load; large feeds should be limited to the routes of interest
+            routeIds: []
+        }
+    },
+
+    // Known systems. `provider` picks the data provider ('passio' or 'gtfs') and
+    // `options` are merged over that provider's settings above. Systems without
+    // a center/zoom fit the map to their stops.
+    //
+    // `serviceHours` maps a route's short name (or ID) to the times it runs on
+    // weekdays, Saturdays and Sundays, as 24-hour 'HH:MM' pairs. Times past
+    // midnight continue the service day ('25:30' is 1:30 AM). Routes without an
+    // entry are assumed to run whenever buses report in, e.g.
+    //     'M2': { weekday: [['07:00', '25:00']], saturday: [['09:00', '24:00']], sunday: [] }
+    //
+    // `timetables` holds published departure times for providers without a
+    // schedule feed (PassioGo), by route short name (or ID), then stop name (or
+    // ID), then day type, e.g.
+    //     'M2': { 'Harvard Square': { weekday: ['07:00', '07:20', '07:40'], saturday: [], sunday: [] } }
+    //
+    // `friendlyNames` renames stops with rules matched against the provider's
+    // stop name, ignoring case: `exact`, `prefix` or `regex` (whose groups fill
+    // in $1, $2... in the name). The highest `priority` (default 0) wins, then
+    // exact over prefix over regex rules, then the longest pattern. Stops no
+    // rule matches keep a tidied provider name. `friendlyNamesUrl` may point to
+    // a JSON list of more rules, loaded with the stops, e.g.
+    //     { prefix: 'longwood ave', name: 'Longwood Ave', priority: 1 }
+    systems: [
+        {
+            id: '6986',
+            name: 'Harvard Shuttle',
+            provider: 'passio',
+            options: { systemId: '6986' }, // Harvard LMA system ID
+            center: [42.338, -71.105], // Longwood Medical Area
+            zoom: 15,
+
+            // Route service hours and published timetables, see above
+            serviceHours: {
+                'M2': {
+                    weekday: [['07:00', '24:40']],
+                    saturday: [['08:00', '24:40']],
+                    sunday: []
+                }
+            },
+            timetables: {
+                'M2': {
+                    'Harvard Square': {
+                        weekday: timesEvery('07:00', '24:20', 20),
+                        saturday: timesEvery('08:00', '24:00', 30),
+                        sunday: []
+                    },
+                    'HMS (Vanderbilt)': {
+                        weekday: timesEvery('07:25', '24:25', 20),
+                        saturday: timesEvery('08:25', '24:25', 30),
+                        sunday: []
+                    }
+                }
+            },
+
+            // Friendly stop names, see above
+            friendlyNames: [
+                // HMS / Longwood Medical Area
+                { prefix: 'vanderbilt hall', name: 'HMS (Vanderbilt)' },
+                { prefix: 'hms vanderbilt', name: 'HMS (Vanderbilt)' },
+                { regex: '\\bbrigham\\b', name: 'Brigham & Women\'s' },
+                { regex: '\\bchildren\'s hospital\\b', name: 'Children\'s Hospital' },
+                { regex: '\\bdana[- ]farber\\b', name: 'Dana-Farber' },
+                { regex: '\\bjoslin\\b', name: 'Joslin Diabetes' },
+                { regex: '\\bbeth israel\\b', name: 'Beth Israel' },
+                // The whole area, only for stops named after nothing more specific
+                { prefix: 'longwood', name: 'Longwood Medical', priority: -1 },
+
+                // Harvard Campus
+                { regex: '\\bsmith campus center\\b', name: 'Harvard Square' },
+                { prefix: 'harvard square', name: 'Harvard Square' },
+                { exact: 'cambridge', name: 'Cambridge' },
+
+                // Other
+                { prefix: 'kenmore', name: 'Kenmore' },
+                { prefix: 'fenway', name: 'Fenway' },
+                { prefix: 'ruggles', name: 'Ruggles Station' },
+                { prefix: 'roxbury crossing', name: 'Roxbury Crossing' },
+                { prefix: 'nubian', name: 'Nubian Square' },
+                { prefix: 'dudley', name: 'Nubian Square' },
+                { prefix: 'boylston', name: 'Boylston St' },
+                { prefix: 'coolidge corner', name: 'Coolidge Corner' },
+                { exact: 'brookline', name: 'Brookline' }
+            ]
+        }
+
+        // A GTFS system looks like:
+        // {
+        //     id: 'mbta-ct2',
+        //     name: 'MBTA CT2',
+        //     provider: 'gtfs',
+        //     options: { staticUrl: '...', vehiclePositionsUrl: '...', tripUpdatesUrl: '...', routeIds: ['747'] }
+        // }
+    ]
+};
@@ -0,0 +1,113 @@
+/**
+ * Favorites module: named trips with optional weekday and time-of-day rules
+ * A favorite is { id, name, source, dest, days, start, end } where days are
+ * 0 (Sunday) to 6 and start/end are 'HH:MM'. Empty rules match any time.
+ */
+const Favorites = (function() {
+    const DAY_LABELS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+    const WEEKDAYS = [1, 2, 3, 4, 5];
+    const WEEKEND = [0, 6];
+
+    /**
+     * New favorite with a unique ID
+     */
+    function create(values = {}) {
+        return {
+            id: `fav-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name: '',
+            source: '',
+            dest: '',
+            days: [],
+            start: '',
+            end: '',
+            ...values
+        };
+    }
+
+    function toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + (minutes || 0);
+    }
+
+    /**
+     * Whether a favorite's rules allow it at a time
+     * Time windows may run past midnight (e.g. 22:00 to 02:00).
+     */
+    function matches(favorite, date) {
+        const days = favorite.days || [];
+        if (days.length > 0 && !days.includes(date.getDay())) {
+            return false;
+        }
+
+        if (favorite.start && favorite.end) {
+            const minutes = date.getHours() * 60 + date.getMinutes();
+            const start = toMinutes(favorite.start);
+            const end = toMinutes(favorite.end);
+            return start <= end
+                ? minutes >= start && minutes < end
+                : minutes >= start || minutes < end;
+        }
+
+        return true;
+    }
+
+    /**
+     * How narrow a favorite's rules are; narrower favorites win
+     */
+    function specificity(favorite) {
+        return (favorite.start && favorite.end ? 2 : 0) + ((favorite.days || []).length > 0 ? 1 : 0);
+    }
+
+    /**
+     * The favorite to open at a time, or null if none applies
+     */
+    function pick(favorites, date) {
+        let best = null;
+        favorites.forEach(favorite => {
+            if (!favorite.source || !matches(favorite, date)) return;
+            if (!best || specificity(favorite) > specificity(best)) {
+                best = favorite;
+            }
+        });
+        return best;
+    }
+
+    function formatTime(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        const date = new Date();
+        date.setHours(hours, minutes || 0, 0, 0);
+        return date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    }
+
+    /**
+     * Short description of a favorite's rules, e.g. "Weekdays · 7:00 AM–10:00 AM"
+     */
+    function describeRules(favorite) {
+        const days = [...(favorite.days || [])].sort();
+        const sameDays = list => days.length === list.length && list.every(day => days.includes(day));
+        const parts = [];
+
+        if (sameDays(WEEKDAYS)) {
+            parts.push('Weekdays');
+        } else if (sameDays(WEEKEND)) {
+            parts.push('Weekends');
+        } else if (days.length > 0 && days.length < 7) {
+            parts.push(days.map(day => new Date(2024, 0, 7 + day).toLocaleDateString([], { weekday: 'short' })).join(', '));
+        }
+
+        if (favorite.start && favorite.end) {
+            parts.push(`${formatTime(favorite.start)}–${formatTime(favorite.end)}`);
+        }
+
+        return parts.join(' · ');
+    }
+
+    // Public API
+    return {
+        DAY_LABELS,
+        create,
+        matches,
+        pick,
+        describeRules
+    };
+})();
@@ -0,0 +1,232 @@
+/**
+ * Route geometry module for working with route polylines
+ */
+const RouteGeometry = (function() {
+    const LOOP_CLOSE_KM = 0.1; // First and last points this close means the route is a loop
+    const HEADING_PENALTY_KM = 0.05; // Extra cost for snapping onto a segment running the wrong way
+    const PASSED_TOLERANCE_KM = 0.03; // GPS jitter allowed around a stop before a bus counts as past it
+    const KM_PER_DEG_LAT = 111.32;
+
+    // Prepared polylines keyed by their points array
+    const prepared = new WeakMap();
+
+    /**
+     * Convert a point to local planar coordinates (km) around a reference latitude
+     */
+    function toXY(lat, lng, refLat) {
+        return [
+            lng * KM_PER_DEG_LAT * Math.cos(refLat * Math.PI / 180),
+            lat * KM_PER_DEG_LAT
+        ];
+    }
+
+    /**
+     * Compass bearing in degrees from one point to another
+     */
+    function getBearing(lat1, lng1, lat2, lng2) {
+        const dLng = (lng2 - lng1) * Math.PI / 180;
+        const phi1 = lat1 * Math.PI / 180;
+        const phi2 = lat2 * Math.PI / 180;
+        const y = Math.sin(dLng) * Math.cos(phi2);
+        const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLng);
+        return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+    }
+
+    /**
+     * Smallest difference between two bearings in degrees
+     */
+    function angleDiff(a, b) {
+        const diff = Math.abs(a - b) % 360;
+        return diff > 180 ? 360 - diff : diff;
+    }
+
+    /**
+     * Precompute cumulative distances for a polyline
+     */
+    function prepare(points) {
+        if (prepared.has(points)) {
+            return prepared.get(points);
+        }
+
+        const cumulative = [0];
+        const bearings = [];
+        for (let i = 1; i < points.length; i++) {
+            const [lat1, lng1] = points[i - 1];
+            const [lat2, lng2] = points[i];
+            cumulative.push(cumulative[i - 1] + API.getDistanceKm(lat1, lng1, lat2, lng2));
+            bearings.push(getBearing(lat1, lng1, lat2, lng2));
+        }
+
+        const length = cumulative[cumulative.length - 1] || 0;
+        const first = points[0];
+        const last = points[points.length - 1];
+        const isLoop = points.length > 2 &&
+            API.getDistanceKm(first[0], first[1], last[0], last[1]) <= LOOP_CLOSE_KM;
+
+        const result = { cumulative, bearings, length, isLoop };
+        prepared.set(points, result);
+        return result;
+    }
+
+    /**
+     * Snap a point onto a polyline
+     * @param {Array} points - Route points as [lat, lng] pairs
+     * @param {number} lat - Latitude of the point
+     * @param {number} lng - Longitude of the point
+     * @param {number} heading - Optional direction of travel, used to pick the right side of overlapping segments
+     * @returns {Object|null} { along, offset, segmentIndex, latitude, longitude } with distances in km
+     */
+    function project(points, lat, lng, heading = null) {
+        if (!points || points.length < 2) return null;
+
+        const { cumulative, bearings } = prepare(points);
+        const [px, py] = toXY(lat, lng, lat);
+        const useHeading = typeof heading === 'number' && isFinite(heading);
+
+        let best = null;
+        let bestCost = Infinity;
+
+        for (let i = 0; i < points.length - 1; i++) {
+            const [ax, ay] = toXY(points[i][0], points[i][1], lat);
+            const [bx, by] = toXY(points[i + 1][0], points[i + 1][1], lat);
+            const dx = bx - ax;
+            const dy = by - ay;
+            const lenSq = dx * dx + dy * dy;
+
+            let t = 0;
+            if (lenSq > 0) {
+                t = Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lenSq));
+            }
+
+            const cx = ax + t * dx;
+            const cy = ay + t * dy;
+            const offset = Math.hypot(px - cx, py - cy);
+
+            let cost = offset;
+            if (useHeading && lenSq > 0 && angleDiff(bearings[i], heading) > 90) {
+                cost += HEADING_PENALTY_KM;
+            }
+
+            if (cost < bestCost) {
+                bestCost = cost;
+                const segmentLength = cumulative[i + 1] - cumulative[i];
+                best = {
+                    along: cumulative[i] + t * segmentLength,
+                    offset: offset,
+                    segmentIndex: i,
+                    latitude: points[i][0] + t * (points[i + 1][0] - points[i][0]),
+                    longitude: points[i][1] + t * (points[i + 1][1] - points[i][1])
+                };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Distance travelled along the route going forward from one position to another
+     * Wraps around loop routes. Returns null if the target is behind on a one-way route.
+     */
+    function distanceBetween(points, fromAlong, toAlong) {
+        const { length, isLoop } = prepare(points);
+        const diff = toAlong - fromAlong;
+
+        if (diff >= 0) return diff;
+        if (diff >= -PASSED_TOLERANCE_KM) return 0;
+        if (isLoop) return diff + length;
+        return null;
+    }
+
+    /**
+     * Get the position and bearing at a distance along the route
+     */
+    function pointAt(points, along) {
+        if (!points || points.length === 0) return null;
+        if (points.length === 1) {
+            return { latitude: points[0][0], longitude: points[0][1], bearing: 0 };
+        }
+
+        const { cumulative, bearings, length, isLoop } = prepare(points);
+        let distance = along;
+        if (isLoop && length > 0) {
+            distance = ((along % length) + length) % length;
+        } else {
+            distance = Math.max(0, Math.min(length, along));
+        }
+
+        let i = 0;
+        while (i < cumulative.length - 2 && cumulative[i + 1] < distance) {
+            i++;
+        }
+
+        const segmentLength = cumulative[i + 1] - cumulative[i];
+        const t = segmentLength > 0 ? (distance - cumulative[i]) / segmentLength : 0;
+
+        return {
+            latitude: points[i][0] + t * (points[i + 1][0] - points[i][0]),
+            longitude: points[i][1] + t * (points[i + 1][1] - points[i][1]),
+            bearing: bearings[i]
+        };
+    }
+
+    /**
+     * Get the part of the route between two along-route distances as [lat, lng] pairs
+     * Wraps around loop routes when the end is before the start.
+     */
+    function slice(points, fromAlong, toAlong) {
+        if (!points || points.length < 2) return [];
+
+        const { cumulative, length, isLoop } = prepare(points);
+        let end = toAlong;
+        if (end < fromAlong) {
+            if (!isLoop) return [];
+            end += length;
+        }
+
+        const result = [];
+        const start = pointAt(points, fromAlong);
+        result.push([start.latitude, start.longitude]);
+
+        const laps = isLoop ? [0, length] : [0];
+        laps.forEach(lap => {
+            for (let i = 0; i < points.length; i++) {
+                const distance = cumulative[i] + lap;
+                if (distance > fromAlong && distance < end) {
+                    result.push(points[i]);
+                }
+            }
+        });
+
+        const finish = pointAt(points, end);
+        result.push([finish.latitude, finish.longitude]);
+        return result;
+    }
+
+    /**
+     * Total length of a route in km
+     */
+    function getLength(points) {
+        if (!points || points.length < 2) return 0;
+        return prepare(points).length;
+    }
+
+    /**
+     * Whether the route ends where it starts
+     */
+    function isLoop(points) {
+        if (!points || points.length < 2) return false;
+        return prepare(points).isLoop;
+    }
+
+    // Public API
+    return {
+        project,
+        distanceBetween,
+        pointAt,
+        slice,
+        getLength,
+        isLoop,
+        getBearing,
+        angleDiff
+    };
+})();
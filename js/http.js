@@ -0,0 +1,232 @@
+/**
+ * HTTP module: provider requests with timeouts, retries and a circuit breaker
+ * Requests still go through Recorder.fetch so they can be recorded and replayed.
+ * The body is read within the timeout, so a stalled download fails like a
+ * stalled connection. Identical requests made while one is in flight share its
+ * result. After repeated failures a server's circuit opens: requests to it fail
+ * at once, and one request is let through after each cooldown to see if it's
+ * back. Polling therefore slows to one real request per cooldown while the
+ * server is down. Coming back online closes every circuit.
+ */
+const Http = (function() {
+    const DEFAULT_TIMEOUT_MS = 10000;
+    const DEFAULT_RETRIES = 2;
+    const BACKOFF_BASE_MS = 500;
+    const BACKOFF_MAX_MS = 8000;
+    const FAILURE_THRESHOLD = 3; // Failed requests in a row that open a circuit
+    const COOLDOWN_MS = 15000; // First wait before trying an open circuit again
+    const MAX_COOLDOWN_MS = 5 * 60000; // Cooldowns double up to this while the server stays down
+
+    const inFlight = new Map(); // Request key -> Promise of { ok, status, text }
+    const circuits = new Map(); // Origin -> { failures, retrying, openUntil, cooldown, probing }
+    const listeners = [];
+    let lastStatus = null;
+
+    function init() {
+        window.addEventListener('online', () => {
+            // Failures while offline say nothing about the servers
+            circuits.forEach(resetCircuit);
+            notify();
+        });
+        window.addEventListener('offline', notify);
+    }
+
+    function requestKey(url, init) {
+        return `${init.method || 'GET'} ${url} ${init.body || ''}`;
+    }
+
+    /**
+     * Make a request, retrying network errors, timeouts and server errors
+     * Client errors (other than 429) are returned as they are; callers check result.ok.
+     * @param {string} url - URL
+     * @param {Object} init - fetch options
+     * @param {Object} options - { timeout (ms) for the whole response including its body, retries }
+     * @returns {Promise<Object>} { ok, status, text }
+     * @throws {Error} If the request fails after its retries or the server's circuit is open
+     */
+    function request(url, init = {}, options = {}) {
+        const key = requestKey(url, init);
+        if (!inFlight.has(key)) {
+            const pending = send(url, init, options).finally(() => inFlight.delete(key));
+            inFlight.set(key, pending);
+        }
+        return inFlight.get(key);
+    }
+
+    async function send(url, init, { timeout = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES } = {}) {
+        const circuit = getCircuit(url);
+
+        for (let attempt = 0; ; attempt++) {
+            if (!canRequest(circuit)) {
+                const seconds = Math.ceil((circuit.openUntil - Date.now()) / 1000);
+                const error = new Error(`Server unavailable, trying again in ${seconds}s`);
+                error.circuitOpen = true;
+                throw error;
+            }
+
+            let response = null;
+            let failure = null;
+            try {
+                response = await fetchWithTimeout(url, init, timeout);
+                if (isRetryable(response.status)) {
+                    failure = new Error(`HTTP ${response.status}`);
+                }
+            } catch (error) {
+                failure = error;
+            }
+
+            if (!failure) {
+                recordSuccess(circuit);
+                return response;
+            }
+
+            // Out of retries: count the failure and hand back the server's answer, if any
+            if (attempt >= retries || circuit.probing) {
+                recordFailure(circuit);
+                if (response) return response;
+                throw failure;
+            }
+
+            console.log(`Request failed (${failure.message}), retrying:`, url);
+            circuit.retrying++;
+            notify();
+            try {
+                await wait(getBackoff(attempt));
+            } finally {
+                circuit.retrying--;
+            }
+        }
+    }
+
+    /**
+     * Fetch through the recorder and read the body, giving up after a timeout
+     */
+    async function fetchWithTimeout(url, init, timeout) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        try {
+            const response = await Recorder.fetch(url, { ...init, signal: controller.signal });
+            const text = await response.text();
+            return { ok: response.ok, status: response.status, text };
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`Timed out after ${timeout / 1000}s`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Statuses worth trying again: rate limiting and server errors
+     */
+    function isRetryable(status) {
+        return status === 429 || status >= 500;
+    }
+
+    /**
+     * Exponential backoff with full jitter, so clients that failed together don't retry together
+     */
+    function getBackoff(attempt) {
+        return Math.random() * Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+    }
+
+    function wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    function getCircuit(url) {
+        const origin = new URL(url, window.location.href).origin;
+        if (!circuits.has(origin)) {
+            circuits.set(origin, { failures: 0, retrying: 0, openUntil: 0, cooldown: COOLDOWN_MS, probing: false });
+        }
+        return circuits.get(origin);
+    }
+
+    /**
+     * Whether a request may go out: always while closed, one at a time once an open circuit cools down
+     */
+    function canRequest(circuit) {
+        if (!circuit.openUntil) return true;
+        if (circuit.probing || Date.now() < circuit.openUntil) return false;
+        circuit.probing = true;
+        return true;
+    }
+
+    function resetCircuit(circuit) {
+        circuit.failures = 0;
+        circuit.openUntil = 0;
+        circuit.cooldown = COOLDOWN_MS;
+        circuit.probing = false;
+    }
+
+    function recordSuccess(circuit) {
+        const changed = circuit.failures > 0 || circuit.openUntil;
+        resetCircuit(circuit);
+        if (changed) {
+            console.log('Server reachable again');
+        }
+        notify();
+    }
+
+    function recordFailure(circuit) {
+        circuit.failures++;
+        if (circuit.probing) {
+            // Still down: wait longer before the next try
+            circuit.cooldown = Math.min(circuit.cooldown * 2, MAX_COOLDOWN_MS);
+            circuit.openUntil = Date.now() + circuit.cooldown;
+        } else if (circuit.failures >= FAILURE_THRESHOLD) {
+            circuit.openUntil = Date.now() + circuit.cooldown;
+            console.warn(`Server failing, pausing requests for ${circuit.cooldown / 1000}s`);
+        }
+        circuit.probing = false;
+        notify();
+    }
+
+    /**
+     * Overall connection health
+     * @returns {Object} { state: 'online'|'degraded'|'offline', retryAt } - retryAt (ms) while a circuit is open
+     */
+    function getStatus() {
+        let state = 'online';
+        let retryAt = null;
+
+        circuits.forEach(circuit => {
+            if (circuit.openUntil) {
+                state = 'offline';
+                retryAt = Math.max(retryAt || 0, circuit.openUntil);
+            } else if ((circuit.failures > 0 || circuit.retrying > 0) && state === 'online') {
+                state = 'degraded';
+            }
+        });
+
+        if (!navigator.onLine) {
+            state = 'offline';
+        }
+        return { state, retryAt };
+    }
+
+    /**
+     * Listen for connection health changes
+     */
+    function onChange(callback) {
+        listeners.push(callback);
+    }
+
+    function notify() {
+        const status = getStatus();
+        const key = `${status.state} ${status.retryAt}`;
+        if (key === lastStatus) return;
+        lastStatus = key;
+        listeners.forEach(callback => callback(status));
+    }
+
+    // Public API
+    return {
+        init,
+        request,
+        getStatus,
+        onChange
+    };
+})();
@@ -5,7 +5,19 @@ const MapManager = (function() {
     const DEFAULT_CENTER = [42.338, -71.105]; // Longwood Medical Area
     const DEFAULT_ZOOM = 15;
 
+    // Bus animation between polls
+    const MIN_GLIDE_MS = 1000;
+    const MAX_GLIDE_MS = 10000;
+    const MAX_DEAD_RECKON_MS = 15000; // Stop extrapolating once a poll is this late
+    const MAX_SNAP_KM = 0.1; // Buses further than this from their route move in a straight line
+    const MAX_GLIDE_KM = 1; // Bigger jumps are shown without animation
+    const MPH_TO_KM_PER_MS = 1.60934 / 3600000;
+    const KM_PER_DEGREE = 111.32;
+    const FOLLOW_ZOOM = 16;
+
     let map = null;
+    let defaultCenter = DEFAULT_CENTER; // Home view of the current system
+    let defaultZoom = DEFAULT_ZOOM;
     let busMarkers = new Map();
     let stopMarkers = new Map();
     let routePolylines = new Map();
@@ -15,14 +27,18 @@ const MapManager = (function() {
     let destinationMarker = null;
     let onBusClickCallback = null;
     let visibleRoutes = []; // Empty means all visible
+    let routePoints = new Map();
+    let animationFrame = null;
+    let followed = null; // { busId, pathKm, path, onExit } while the map follows a bus
+    const reduceMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
 
     /**
      * Initialize the Leaflet map
      */
     function init() {
         map = L.map('map', {
-            center: DEFAULT_CENTER,
-            zoom: DEFAULT_ZOOM,
+            center: defaultCenter,
+            zoom: defaultZoom,
             zoomControl: false
         });
 
@@ -48,16 +64,17 @@ const MapManager = (function() {
     /**
      * Create a custom bus marker icon
      */
-    function createBusIcon(color, heading) {
+    function createBusIcon(color, heading, crowding = null, stale = false) {
         const html = `
-            <div class="bus-marker" style="background-color: ${color}; transform: rotate(${heading}deg);">
+            <div class="bus-marker" style="background-color: ${color}; transform: rotate(${heading || 0}deg);">
                 🚌
             </div>
+            ${crowding ? `<span class="bus-crowding crowding-${crowding.id}" title="${crowding.label}"></span>` : ''}
         `;
 
         return L.divIcon({
             html: html,
-            className: 'bus-marker-container',
+            className: stale ? 'bus-marker-container stale' : 'bus-marker-container',
             iconSize: [36, 36],
             iconAnchor: [18, 18],
             popupAnchor: [0, -20]
@@ -159,17 +176,27 @@ const MapManager = (function() {
 
         routes.forEach(route => {
             routeColors.set(route.id, route.color);
+            routePoints.set(String(route.id), route.points);
         });
 
+        const now = Date.now();
+
         buses.forEach(bus => {
             activeBusIds.add(bus.id);
             const color = routeColors.get(bus.routeId) || '#4a90d9';
             const shouldShow = isRouteVisible(bus.routeId);
+            const crowding = Occupancy.getCrowding(bus);
+            const stale = API.isBusStale(bus);
+            const iconKey = `${color}|${Math.round(bus.heading)}|${crowding ? crowding.id : ''}|${stale}`;
 
             if (busMarkers.has(bus.id)) {
                 const marker = busMarkers.get(bus.id);
-                marker.setLatLng([bus.latitude, bus.longitude]);
-                marker.setIcon(createBusIcon(color, bus.heading));
+
+                // Only rebuild the icon when it looks different
+                if (marker.iconKey !== iconKey) {
+                    marker.setIcon(createBusIcon(color, bus.heading, crowding, stale));
+                    marker.iconKey = iconKey;
+                }
                 marker.routeId = bus.routeId;
                 marker.busData = bus;
 
@@ -179,19 +206,22 @@ const MapManager = (function() {
                 } else if (!shouldShow && map.hasLayer(marker)) {
                     map.removeLayer(marker);
                 }
+
+                setMotion(marker, bus, now, map.hasLayer(marker), stale);
             } else {
                 const marker = L.marker([bus.latitude, bus.longitude], {
-                    icon: createBusIcon(color, bus.heading),
+                    icon: createBusIcon(color, bus.heading, crowding, stale),
                     zIndexOffset: 1000
                 });
 
                 marker.routeId = bus.routeId;
                 marker.busData = bus;
+                marker.iconKey = iconKey;
 
                 // Add click handler for bus
                 marker.on('click', () => {
                     if (onBusClickCallback) {
-                        onBusClickCallback(bus);
+                        onBusClickCallback(marker.busData);
                     }
                 });
 
@@ -199,6 +229,7 @@ const MapManager = (function() {
                     marker.addTo(map);
                 }
                 busMarkers.set(bus.id, marker);
+                setMotion(marker, bus, now, false, stale);
             }
         });
 
@@ -211,6 +242,255 @@ const MapManager = (function() {
         });
     }
 
+    /**
+     * Start a marker gliding from where it is now to a bus's new position
+     * Buses on their route follow the polyline; once there they keep moving at
+     * the reported speed until the next poll arrives, or give up if it's late.
+     * Stale buses stay where they last reported.
+     */
+    function setMotion(marker, bus, now, animate, stale = false) {
+        const previous = marker.motion;
+        const duration = animate && !reduceMotion && marker.lastUpdate
+            ? Math.max(MIN_GLIDE_MS, Math.min(MAX_GLIDE_MS, now - marker.lastUpdate))
+            : 0;
+        marker.lastUpdate = now;
+
+        const motion = {
+            start: now,
+            duration,
+            speed: reduceMotion || stale ? 0 : (bus.speed || 0) * MPH_TO_KM_PER_MS,
+            heading: bus.heading,
+            points: null,
+            fromAlong: null,
+            toAlong: null,
+            from: marker.getLatLng(),
+            to: L.latLng(bus.latitude, bus.longitude),
+            done: false
+        };
+
+        const points = routePoints.get(String(bus.routeId));
+        const target = points && points.length >= 2
+            ? RouteGeometry.project(points, bus.latitude, bus.longitude, bus.heading)
+            : null;
+
+        if (target && target.offset <= MAX_SNAP_KM) {
+            motion.points = points;
+            motion.toAlong = target.along;
+
+            // Continue from the current along-route position when it's on the same route
+            let fromAlong = null;
+            if (duration > 0 && previous && previous.points === points) {
+                fromAlong = getAlong(previous, now);
+            } else if (duration > 0) {
+                const current = RouteGeometry.project(points, motion.from.lat, motion.from.lng, bus.heading);
+                fromAlong = current && current.offset <= MAX_SNAP_KM ? current.along : null;
+            }
+
+            const delta = fromAlong === null ? null : getAlongDelta(points, fromAlong, target.along);
+            if (delta !== null && Math.abs(delta) <= MAX_GLIDE_KM) {
+                motion.fromAlong = fromAlong;
+                motion.toAlong = fromAlong + delta;
+            } else {
+                motion.fromAlong = target.along;
+                motion.duration = 0;
+            }
+        } else if (motion.from.distanceTo(motion.to) > MAX_GLIDE_KM * 1000) {
+            motion.duration = 0;
+        }
+
+        marker.motion = motion;
+        startAnimation();
+    }
+
+    /**
+     * Shortest signed along-route distance between two positions (wrapping loops)
+     */
+    function getAlongDelta(points, fromAlong, toAlong) {
+        let delta = toAlong - fromAlong;
+        if (RouteGeometry.isLoop(points)) {
+            const length = RouteGeometry.getLength(points);
+            if (delta > length / 2) delta -= length;
+            if (delta < -length / 2) delta += length;
+        }
+        return delta;
+    }
+
+    /**
+     * Time since the glide ended that the bus has been dead-reckoned for
+     */
+    function getOvershootMs(motion, now) {
+        return Math.min(Math.max(0, now - motion.start - motion.duration), MAX_DEAD_RECKON_MS);
+    }
+
+    /**
+     * Along-route position of an on-route motion at a time
+     */
+    function getAlong(motion, now) {
+        const t = motion.duration > 0 ? Math.min(1, (now - motion.start) / motion.duration) : 1;
+        return motion.fromAlong + (motion.toAlong - motion.fromAlong) * t +
+            getOvershootMs(motion, now) * motion.speed;
+    }
+
+    /**
+     * Where a marker should be drawn at a time
+     */
+    function getMotionLatLng(motion, now) {
+        if (motion.points) {
+            const point = RouteGeometry.pointAt(motion.points, getAlong(motion, now));
+            return L.latLng(point.latitude, point.longitude);
+        }
+
+        const t = motion.duration > 0 ? Math.min(1, (now - motion.start) / motion.duration) : 1;
+        const lat = motion.from.lat + (motion.to.lat - motion.from.lat) * t;
+        const lng = motion.from.lng + (motion.to.lng - motion.from.lng) * t;
+
+        // Off the route there's nothing to follow but the heading, if the feed gave one
+        const extraKm = motion.heading === null ? 0 : getOvershootMs(motion, now) * motion.speed;
+        const headingRad = motion.heading * Math.PI / 180;
+        return L.latLng(
+            lat + (extraKm * Math.cos(headingRad)) / KM_PER_DEGREE,
+            lng + (extraKm * Math.sin(headingRad)) / (KM_PER_DEGREE * Math.cos(lat * Math.PI / 180))
+        );
+    }
+
+    function startAnimation() {
+        if (!animationFrame) {
+            animationFrame = requestAnimationFrame(animateBuses);
+        }
+    }
+
+    /**
+     * Move every animating bus marker one frame
+     * Markers outside the view are skipped until they finish or come into view.
+     */
+    function animateBuses() {
+        animationFrame = null;
+        const now = Date.now();
+        const bounds = map.getBounds().pad(0.2);
+        let moving = false;
+
+        busMarkers.forEach(marker => {
+            const motion = marker.motion;
+            if (!motion || motion.done || !map.hasLayer(marker)) return;
+
+            const finished = now - motion.start - motion.duration >= (motion.speed > 0 ? MAX_DEAD_RECKON_MS : 0);
+            const latLng = getMotionLatLng(motion, now);
+
+            if (finished || bounds.contains(latLng) || bounds.contains(marker.getLatLng())) {
+                marker.setLatLng(latLng);
+            }
+
+            if (finished) {
+                motion.done = true;
+            } else {
+                moving = true;
+            }
+        });
+
+        if (followed) {
+            updateFollow(now);
+        }
+
+        if (moving) {
+            animationFrame = requestAnimationFrame(animateBuses);
+        }
+    }
+
+    /**
+     * Keep a bus centered as it moves until the user drags the map
+     * @param {string} busId - Bus to follow
+     * @param {Function} onExit - Called when a drag ends following
+     */
+    function followBus(busId, onExit) {
+        unfollowBus();
+        followed = { busId: String(busId), pathKm: 0, path: null, onExit };
+        map.on('dragstart', handleFollowDrag);
+
+        const marker = getFollowedMarker();
+        if (marker) {
+            map.setView(marker.getLatLng(), Math.max(map.getZoom(), FOLLOW_ZOOM));
+        }
+    }
+
+    /**
+     * Stop following and remove the remaining path
+     */
+    function unfollowBus() {
+        if (!followed) return;
+
+        map.off('dragstart', handleFollowDrag);
+        if (followed.path) {
+            map.removeLayer(followed.path);
+        }
+        followed = null;
+    }
+
+    function handleFollowDrag() {
+        const { onExit } = followed;
+        unfollowBus();
+        if (onExit) {
+            onExit();
+        }
+    }
+
+    function getFollowedBusId() {
+        return followed ? followed.busId : null;
+    }
+
+    function getFollowedMarker() {
+        for (const [busId, marker] of busMarkers) {
+            if (String(busId) === followed.busId) return marker;
+        }
+        return null;
+    }
+
+    /**
+     * Set how far ahead along its route the followed bus's path is drawn
+     */
+    function setFollowPath(km) {
+        if (!followed) return;
+        followed.pathKm = km;
+        updateFollow(Date.now());
+    }
+
+    /**
+     * Center the followed bus and redraw its path from where the marker is now
+     */
+    function updateFollow(now) {
+        const marker = getFollowedMarker();
+        if (!marker) return;
+
+        map.panTo(marker.getLatLng(), { animate: false });
+
+        const motion = marker.motion;
+        if (!motion || !motion.points || followed.pathKm <= 0) {
+            if (followed.path) {
+                map.removeLayer(followed.path);
+                followed.path = null;
+            }
+            return;
+        }
+
+        // Dead reckoning can carry the position past the end of the polyline
+        const length = RouteGeometry.getLength(motion.points);
+        const loop = RouteGeometry.isLoop(motion.points);
+        const along = getAlong(motion, now);
+        const fromAlong = loop ? ((along % length) + length) % length : Math.max(0, Math.min(along, length));
+        const toAlong = loop ? (fromAlong + followed.pathKm) % length : Math.min(fromAlong + followed.pathKm, length);
+        const latLngs = RouteGeometry.slice(motion.points, fromAlong, toAlong);
+
+        if (followed.path) {
+            followed.path.setLatLngs(latLngs);
+        } else {
+            followed.path = L.polyline(latLngs, {
+                color: routeColors.get(marker.routeId) || '#4a90d9',
+                weight: 8,
+                opacity: 0.9,
+                interactive: false
+            }).addTo(map);
+        }
+    }
+
     /**
      * Add stop markers to the map
      */
@@ -238,7 +518,12 @@ const MapManager = (function() {
             marker.color = color;
             marker.routeId = stop.routeId;
 
-            marker.bindPopup(`<strong>${stop.name}</strong>`);
+            // Built on opening so renamed stops show their new name
+            marker.bindPopup(() => {
+                const title = document.createElement('strong');
+                title.textContent = stop.name;
+                return title;
+            });
 
             marker.on('click', () => {
                 if (onStopClick) {
@@ -383,13 +668,63 @@ const MapManager = (function() {
      */
     function resetView() {
         // Just recenter, don't remove markers
-        map.setView(DEFAULT_CENTER, DEFAULT_ZOOM);
+        map.setView(defaultCenter, defaultZoom);
+
+        // Re-apply the saved route filter, which also drops one from a shared link
+        filterByRoutes(Storage.getSelectedRoutes());
+    }
+
+    /**
+     * Set the home view for the current system and move the map there
+     */
+    function setDefaultView(center, zoom) {
+        defaultCenter = center || DEFAULT_CENTER;
+        defaultZoom = zoom || DEFAULT_ZOOM;
+        if (map) {
+            map.setView(defaultCenter, defaultZoom);
+        }
+    }
+
+    /**
+     * Fit the map to a set of stops and make that the home view
+     * Used for systems without a configured center.
+     */
+    function fitToStops(stops) {
+        const points = stops
+            .filter(stop => !isNaN(stop.latitude) && !isNaN(stop.longitude))
+            .map(stop => [stop.latitude, stop.longitude]);
+        if (points.length === 0) return;
+
+        const bounds = L.latLngBounds(points);
+        map.fitBounds(bounds, { padding: [30, 30] });
+        defaultCenter = [map.getCenter().lat, map.getCenter().lng];
+        defaultZoom = map.getZoom();
+    }
 
-        // Re-apply route filter to ensure correct buses are shown
-        const savedRoutes = Storage.getSelectedRoutes();
-        if (savedRoutes.length > 0) {
-            filterByRoutes(savedRoutes);
+    /**
+     * Remove all routes, stops and buses (when switching systems)
+     */
+    function clear() {
+        unfollowBus();
+
+        if (animationFrame) {
+            cancelAnimationFrame(animationFrame);
+            animationFrame = null;
         }
+
+        busMarkers.forEach(marker => map.removeLayer(marker));
+        stopMarkers.forEach(marker => map.removeLayer(marker));
+        routePolylines.forEach(polyline => map.removeLayer(polyline));
+
+        busMarkers.clear();
+        stopMarkers.clear();
+        routePolylines.clear();
+        routeColors.clear();
+        routePoints.clear();
+
+        selectedStopMarker = null;
+        destinationMarker = null;
+        visibleRoutes = [];
     }
 
     /**
@@ -416,6 +751,13 @@ const MapManager = (function() {
         centerOnUser,
         getMap,
         resetView,
-        getBusById
+        setDefaultView,
+        fitToStops,
+        clear,
+        getBusById,
+        followBus,
+        unfollowBus,
+        getFollowedBusId,
+        setFollowPath
     };
 })();
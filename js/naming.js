@@ -0,0 +1,167 @@
+/**
+ * Naming module: friendly stop names from the system's naming dictionary and
+ * the user's own renames
+ * Dictionary rules are { exact|prefix|regex: pattern, name, priority } and are
+ * matched against the provider's stop name, ignoring case and a trailing "_2".
+ * See `friendlyNames` in Config.
+ */
+const Naming = (function() {
+    const MATCH_ORDER = { exact: 3, prefix: 2, regex: 1 }; // Tie-break between equal priorities
+
+    const dictionaries = new Map(); // System ID -> Promise of compiled rules
+    let rules = [];
+
+    /**
+     * Load the current system's dictionary: its Config rules plus any at `friendlyNamesUrl`
+     * A dictionary that fails to load leaves just the Config rules.
+     */
+    async function load(system) {
+        const id = String(system.id);
+        if (!dictionaries.has(id)) {
+            dictionaries.set(id, loadRules(system));
+        }
+        rules = await dictionaries.get(id);
+        return rules;
+    }
+
+    async function loadRules(system) {
+        const configured = system.friendlyNames || [];
+        if (!system.friendlyNamesUrl) {
+            return compile(configured);
+        }
+
+        try {
+            const response = await fetch(system.friendlyNamesUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const loaded = await response.json();
+            if (!Array.isArray(loaded)) {
+                throw new Error('Expected a list of rules');
+            }
+            return compile([...configured, ...loaded]);
+        } catch (error) {
+            console.error('Failed to load naming dictionary:', error);
+            return compile(configured);
+        }
+    }
+
+    /**
+     * Check and sort rules, best first; invalid rules are skipped
+     */
+    function compile(list) {
+        const compiled = [];
+        list.forEach((rule, index) => {
+            const type = Object.keys(MATCH_ORDER).find(key => typeof (rule && rule[key]) === 'string');
+            if (!type || typeof rule.name !== 'string') {
+                console.warn('Skipping invalid naming rule:', rule);
+                return;
+            }
+
+            let pattern = rule[type].toLowerCase();
+            if (type === 'regex') {
+                try {
+                    pattern = new RegExp(rule[type], 'i');
+                } catch (error) {
+                    console.warn('Skipping naming rule with a bad pattern:', rule, error.message);
+                    return;
+                }
+            }
+
+            compiled.push({
+                type,
+                pattern,
+                length: rule[type].length,
+                name: rule.name,
+                priority: Number(rule.priority) || 0,
+                index
+            });
+        });
+
+        return compiled.sort((a, b) =>
+            b.priority - a.priority ||
+            MATCH_ORDER[b.type] - MATCH_ORDER[a.type] ||
+            b.length - a.length ||
+            a.index - b.index
+        );
+    }
+
+    /**
+     * Name from the first rule that matches, with regex groups filled in for $1, $2...
+     */
+    function matchRule(originalName, ruleList) {
+        const text = originalName.replace(/_\d+$/, '').trim();
+        const lower = text.toLowerCase();
+
+        for (const rule of ruleList) {
+            if (rule.type === 'exact' && lower === rule.pattern) {
+                return { name: rule.name, source: 'exact' };
+            }
+            if (rule.type === 'prefix' && lower.startsWith(rule.pattern)) {
+                return { name: rule.name, source: 'prefix' };
+            }
+            if (rule.type === 'regex') {
+                const match = text.match(rule.pattern);
+                if (match) {
+                    return { name: rule.name.replace(/\$(\d)/g, (_, group) => match[group] || ''), source: 'regex' };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Tidy a name no rule matched
+     */
+    function clean(originalName) {
+        return originalName
+            .replace(/_\d+$/, '')           // Remove trailing _1, _2 etc
+            .replace(/\(Southbound\)/gi, '(South)')
+            .replace(/\(Northbound\)/gi, '(North)')
+            .replace(/\(Eastbound\)/gi, '(East)')
+            .replace(/\(Westbound\)/gi, '(West)')
+            .replace(/\(Inbound\)/gi, '')
+            .replace(/\(Outbound\)/gi, '')
+            .trim();
+    }
+
+    /**
+     * The dictionary's name for a provider stop name, ignoring renames
+     * @returns {Object} { name, source: 'exact'|'prefix'|'regex'|'cleaned' }
+     */
+    function lookup(originalName) {
+        if (!originalName) return { name: originalName, source: 'cleaned' };
+        return matchRule(originalName, rules) || { name: clean(originalName), source: 'cleaned' };
+    }
+
+    /**
+     * The name to show for a stop and where it came from
+     * @returns {Object} { name, source: 'renamed'|'exact'|'prefix'|'regex'|'cleaned' }
+     */
+    function describe(stop) {
+        const renamed = Storage.getStopNames()[String(stop.id)];
+        if (renamed) {
+            return { name: renamed, source: 'renamed' };
+        }
+        return lookup(stop.originalName || stop.name);
+    }
+
+    /**
+     * Stops from the provider with their display names, keeping the provider's as originalName
+     */
+    function nameStops(stops) {
+        return stops.map(stop => {
+            const named = { ...stop, originalName: stop.originalName || stop.name };
+            named.name = describe(named).name;
+            return named;
+        });
+    }
+
+    // Public API
+    return {
+        load,
+        lookup,
+        describe,
+        nameStops
+    };
+})();
@@ -0,0 +1,114 @@
+/**
+ * Occupancy module: crowding levels from passenger counts and a per-route
+ * history of how full buses are by time of day
+ */
+const Occupancy = (function() {
+    const STORAGE_KEY = 'lma_bus_tracker_occupancy';
+    const SAVE_INTERVAL_MS = 30000;
+
+    // Upper bounds of each level as a fraction of capacity
+    const LEVELS = [
+        { id: 'empty', label: 'Empty', max: 0.25 },
+        { id: 'some', label: 'Some seats', max: 0.7 },
+        { id: 'standing', label: 'Standing', max: 0.95 },
+        { id: 'full', label: 'Full', max: Infinity }
+    ];
+
+    let history = null; // { 'systemId:routeId': [[sum, count] x 24 hours] }
+    let lastSaved = 0;
+
+    /**
+     * Crowding level for a bus, or null when the feed doesn't report capacity
+     * @returns {Object|null} { id, label, ratio }
+     */
+    function getCrowding(bus) {
+        if (!bus || !bus.capacity || bus.capacity <= 0) return null;
+
+        const ratio = Math.max(0, bus.paxLoad || 0) / bus.capacity;
+        const level = getLevel(ratio);
+        return { id: level.id, label: level.label, ratio };
+    }
+
+    function isFull(bus) {
+        const crowding = getCrowding(bus);
+        return crowding !== null && crowding.id === 'full';
+    }
+
+    function load() {
+        if (history) return history;
+        try {
+            history = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        } catch (e) {
+            console.error('Failed to load occupancy history:', e);
+            history = {};
+        }
+        return history;
+    }
+
+    function save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(history));
+            lastSaved = Date.now();
+        } catch (e) {
+            console.error('Failed to save occupancy history:', e);
+        }
+    }
+
+    function historyKey(routeId) {
+        return `${API.getSystem().id}:${routeId}`;
+    }
+
+    /**
+     * Add the current load of each bus to its route's history
+     */
+    function observe(buses) {
+        const data = load();
+        const hour = new Date().getHours();
+        let changed = false;
+
+        buses.forEach(bus => {
+            const crowding = getCrowding(bus);
+            if (!crowding) return;
+
+            const key = historyKey(bus.routeId);
+            if (!data[key]) {
+                data[key] = Array.from({ length: 24 }, () => [0, 0]);
+            }
+            data[key][hour][0] += Math.min(crowding.ratio, 1);
+            data[key][hour][1] += 1;
+            changed = true;
+        });
+
+        if (changed && Date.now() - lastSaved > SAVE_INTERVAL_MS) {
+            save();
+        }
+    }
+
+    /**
+     * Average occupancy of a route for each hour of the day
+     * @returns {Array} 24 entries of { hour, ratio, samples }; ratio is null without data
+     */
+    function getRouteHistory(routeId) {
+        const hours = load()[historyKey(routeId)];
+        return Array.from({ length: 24 }, (_, hour) => {
+            const [sum, count] = hours ? hours[hour] : [0, 0];
+            return { hour, ratio: count > 0 ? sum / count : null, samples: count };
+        });
+    }
+
+    /**
+     * Crowding level for an occupancy ratio
+     */
+    function getLevel(ratio) {
+        return LEVELS.find(l => ratio < l.max);
+    }
+
+    // Public API
+    return {
+        getCrowding,
+        getLevel,
+        isFull,
+        observe,
+        getRouteHistory
+    };
+})();
@@ -0,0 +1,235 @@
+/**
+ * Predictions module: blends the provider's arrival predictions with ETAs
+ * computed from bus positions, and learns how accurate each source is
+ * Every prediction for the selected stop is kept (one a minute per bus) until
+ * the bus is seen reaching the stop, then scored against when it actually did.
+ * Errors are kept per source and by how far ahead the prediction was, and
+ * each source is weighted by its error when blending.
+ */
+const Predictions = (function() {
+    const STORAGE_KEY = 'lma_bus_tracker_prediction_accuracy';
+    const SOURCES = ['api', 'computed'];
+    const HORIZONS = [5, 10, 20, Infinity]; // Upper bounds, in minutes ahead, of each accuracy bucket
+
+    // Typical error in minutes for each horizon, until enough arrivals have been seen
+    const PRIOR_ERRORS = {
+        api: [1, 1.5, 2.5, 4],
+        computed: [1.5, 2.5, 4, 6]
+    };
+    const PRIOR_WEIGHT = 5; // The prior counts as this many observed arrivals
+    const MAX_SAMPLES = 500; // Past this, older samples in a bucket fade out
+
+    const SNAPSHOT_INTERVAL_MS = 60000; // Keep at most one prediction a minute per bus
+    const MAX_TRACK_MS = 60 * 60000; // Give up on a bus not seen arriving within an hour
+    const ARRIVED_KM = 0.05; // A bus this close to the stop has arrived
+    const NEAR_KM = 0.3; // A bus this close that then jumps further away passed the stop between polls
+    const REARM_MS = 2 * 60000; // Don't start tracking a bus again straight after it arrived
+
+    let accuracy = null; // { systemId: { api: [[count, squareSum] x horizons], computed: [...] } }
+    const tracked = new Map(); // 'stopId:busId' -> { stop, busId, snapshots: [{ at, api, computed }], lastDistance }
+    const arrived = new Map(); // 'stopId:busId' -> time it arrived
+
+    function load() {
+        if (accuracy) return accuracy;
+        try {
+            accuracy = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        } catch (e) {
+            console.error('Failed to load prediction accuracy:', e);
+            accuracy = {};
+        }
+        return accuracy;
+    }
+
+    function save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(accuracy));
+        } catch (e) {
+            console.error('Failed to save prediction accuracy:', e);
+        }
+    }
+
+    /**
+     * The current system's error buckets for a source
+     */
+    function getBuckets(source) {
+        const data = load();
+        const systemId = API.getSystem().id;
+        if (!data[systemId]) {
+            data[systemId] = {};
+        }
+        if (!data[systemId][source]) {
+            data[systemId][source] = HORIZONS.map(() => [0, 0]);
+        }
+        return data[systemId][source];
+    }
+
+    function getHorizon(minutesAhead) {
+        return HORIZONS.findIndex(max => minutesAhead < max);
+    }
+
+    /**
+     * Typical error in minutes of a source's prediction some minutes ahead,
+     * from observed arrivals with the prior standing in until there are enough
+     */
+    function getError(source, minutesAhead) {
+        const horizon = getHorizon(Math.max(0, minutesAhead));
+        const [count, squareSum] = getBuckets(source)[horizon];
+        const prior = PRIOR_ERRORS[source][horizon];
+        return Math.sqrt((prior * prior * PRIOR_WEIGHT + squareSum) / (PRIOR_WEIGHT + count));
+    }
+
+    /**
+     * One arrival from either or both sources, with the blended ETA and its range
+     */
+    function combine(predicted, computed) {
+        const estimates = [];
+        if (predicted) estimates.push({ eta: predicted.eta, error: getError('api', predicted.eta) });
+        if (computed) estimates.push({ eta: computed.eta, error: getError('computed', computed.eta) });
+
+        // Weight each source by how accurate it has been
+        let weightSum = 0;
+        let etaSum = 0;
+        estimates.forEach(estimate => {
+            const weight = 1 / (estimate.error * estimate.error);
+            weightSum += weight;
+            etaSum += weight * estimate.eta;
+        });
+        const eta = etaSum / weightSum;
+
+        // Sources that disagree make the blend less certain than either alone
+        let error = Math.sqrt(1 / weightSum);
+        if (predicted && computed) {
+            error = Math.max(error, Math.abs(predicted.eta - computed.eta) / 2);
+        }
+
+        return {
+            ...computed,
+            ...predicted,
+            eta: Math.round(eta),
+            etaLow: Math.max(0, Math.floor(eta - error)),
+            etaHigh: Math.max(0, Math.ceil(eta + error)),
+            apiEta: predicted ? predicted.eta : null,
+            computedEta: computed ? computed.eta : null
+        };
+    }
+
+    /**
+     * Reconcile provider predictions with computed ETAs, one arrival per bus
+     * @param {Array} predicted - Arrivals from API.getStopArrivals
+     * @param {Array} computed - Arrivals from API.calculateETAs
+     * @returns {Array} Arrivals soonest first, each with eta, etaLow, etaHigh (minutes) and the
+     *     apiEta and computedEta it was blended from (null where a source had none)
+     */
+    function blend(predicted, computed) {
+        const byBus = new Map(); // Bus ID -> { predicted, computed }
+        computed.forEach(arrival => byBus.set(String(arrival.busId), { predicted: null, computed: arrival }));
+
+        const arrivals = [];
+        predicted.forEach(arrival => {
+            const entry = arrival.busId !== undefined && arrival.busId !== null && byBus.get(String(arrival.busId));
+            if (entry && !entry.predicted) {
+                entry.predicted = arrival;
+            } else {
+                arrivals.push(combine(arrival, null));
+            }
+        });
+        byBus.forEach(entry => arrivals.push(combine(entry.predicted, entry.computed)));
+
+        return arrivals.sort((a, b) => a.eta - b.eta);
+    }
+
+    function trackKey(stop, busId) {
+        return `${stop.id}:${busId}`;
+    }
+
+    /**
+     * Remember what each source predicted for buses due at a stop
+     * @param {Object} stop - Stop the arrivals are for
+     * @param {Array} arrivals - Arrivals from blend()
+     */
+    function track(stop, arrivals, now = Recorder.getReplayTime()) {
+        arrivals.forEach(arrival => {
+            if (arrival.busId === undefined || arrival.busId === null) return;
+
+            const key = trackKey(stop, arrival.busId);
+            if (arrived.has(key) && now - arrived.get(key) < REARM_MS) return;
+            arrived.delete(key);
+
+            if (!tracked.has(key)) {
+                tracked.set(key, { stop, busId: String(arrival.busId), snapshots: [], lastDistance: null });
+            }
+            const entry = tracked.get(key);
+            const last = entry.snapshots[entry.snapshots.length - 1];
+            if (last && now - last.at < SNAPSHOT_INTERVAL_MS) return;
+
+            entry.snapshots.push({ at: now, api: arrival.apiEta, computed: arrival.computedEta });
+        });
+    }
+
+    /**
+     * Check whether tracked buses have reached their stop, and score what was predicted for them
+     */
+    function observe(buses, routes, now = Recorder.getReplayTime()) {
+        tracked.forEach((entry, key) => {
+            const bus = buses.find(b => String(b.id) === entry.busId);
+            if (!bus || now - entry.snapshots[0].at > MAX_TRACK_MS) {
+                tracked.delete(key);
+                return;
+            }
+            if (API.isBusStale(bus, now)) return;
+
+            const route = routes.find(r => String(r.id) === String(bus.routeId));
+            const distance = API.getRouteDistanceKm(bus, entry.stop, route);
+            const passed = entry.lastDistance !== null && entry.lastDistance <= NEAR_KM &&
+                (distance === null || distance > entry.lastDistance + NEAR_KM);
+
+            if ((distance !== null && distance <= ARRIVED_KM) || passed) {
+                score(entry, now);
+                tracked.delete(key);
+                arrived.set(key, now);
+                return;
+            }
+            entry.lastDistance = distance;
+        });
+    }
+
+    /**
+     * Add the errors of a bus's predictions, now that it has arrived
+     */
+    function score(entry, arrivedAt) {
+        entry.snapshots.forEach(snapshot => {
+            SOURCES.forEach(source => {
+                const eta = snapshot[source];
+                if (eta === null || eta === undefined) return;
+
+                const error = (snapshot.at + eta * 60000 - arrivedAt) / 60000;
+                const bucket = getBuckets(source)[getHorizon(Math.max(0, eta))];
+                bucket[0] += 1;
+                bucket[1] += error * error;
+                if (bucket[0] > MAX_SAMPLES) {
+                    bucket[1] *= MAX_SAMPLES / bucket[0];
+                    bucket[0] = MAX_SAMPLES;
+                }
+            });
+        });
+
+        // Arrivals are few and far between, so keep every one
+        save();
+    }
+
+    /**
+     * Forget buses being tracked, e.g. after switching systems
+     */
+    function clear() {
+        tracked.clear();
+        arrived.clear();
+    }
+
+    // Public API
+    return {
+        blend,
+        track,
+        observe,
+        clear
+    };
+})();
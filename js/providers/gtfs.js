@@ -0,0 +1,443 @@
+/**
+ * GTFS data provider: routes and stops from a static GTFS feed, live positions
+ * and predictions from GTFS-Realtime feeds in their JSON encoding
+ */
+const GtfsProvider = (function() {
+    const MPS_TO_MPH = 2.23694;
+    const STATIC_TIMEOUT_MS = 60000; // stop_times.txt can run to many megabytes
+
+    /**
+     * Create a provider for one GTFS feed
+     * @param {Object} options - { staticUrl, vehiclePositionsUrl, tripUpdatesUrl, alertsUrl, routeIds }
+     */
+    function create(options) {
+        const routeFilter = new Set((options.routeIds || []).map(String));
+        let staticFeed = null;
+
+        /**
+         * Load and index the static feed once
+         */
+        function loadStaticFeed() {
+            if (!staticFeed) {
+                staticFeed = fetchStaticFeed().catch(error => {
+                    staticFeed = null;
+                    throw error;
+                });
+            }
+            return staticFeed;
+        }
+
+        async function fetchStaticFeed() {
+            const base = options.staticUrl.replace(/\/$/, '');
+            // stop_times is by far the largest file: download it alongside the rest, parse it once trips are known
+            const stopTimesText = fetchText(`${base}/stop_times.txt`);
+            stopTimesText.catch(() => {}); // Reported when awaited below, unless another file fails first
+            const [routesRows, stopsRows, tripsRows, shapesRows] = await Promise.all(
+                ['routes', 'stops', 'trips', 'shapes'].map(name => fetchCsv(`${base}/${name}.txt`))
+            );
+
+            // Service calendars are optional; feeds may use either or both files
+            const [calendarRows, calendarDateRows] = await Promise.all(
+                ['calendar', 'calendar_dates'].map(name => fetchCsv(`${base}/${name}.txt`).catch(() => []))
+            );
+
+            const routes = routesRows.filter(row => routeFilter.size === 0 || routeFilter.has(row.route_id));
+            const routeById = new Map(routes.map(route => [route.route_id, route]));
+
+            // Trips tell us which shapes belong to each route
+            const tripRoute = new Map();
+            const tripById = new Map();
+            const routeShapes = new Map();
+            tripsRows.forEach(trip => {
+                if (!routeById.has(trip.route_id)) return;
+                tripRoute.set(trip.trip_id, trip.route_id);
+                tripById.set(trip.trip_id, trip);
+                if (trip.shape_id) {
+                    if (!routeShapes.has(trip.route_id)) {
+                        routeShapes.set(trip.route_id, new Set());
+                    }
+                    routeShapes.get(trip.route_id).add(trip.shape_id);
+                }
+            });
+
+            const shapes = new Map();
+            shapesRows.forEach(row => {
+                if (!shapes.has(row.shape_id)) {
+                    shapes.set(row.shape_id, []);
+                }
+                shapes.get(row.shape_id).push(row);
+            });
+
+            // Stop times tell us which route serves each stop, and when; only rows for the loaded routes are kept
+            const stopTimesRows = parseCsv(await stopTimesText, { column: 'trip_id', values: tripRoute });
+            const stopRoute = new Map();
+            const stopTimes = new Map();
+            stopTimesRows.forEach(row => {
+                const routeId = tripRoute.get(row.trip_id);
+                if (!stopRoute.has(row.stop_id)) {
+                    stopRoute.set(row.stop_id, routeId);
+                }
+                if (!stopTimes.has(row.stop_id)) {
+                    stopTimes.set(row.stop_id, []);
+                }
+                stopTimes.get(row.stop_id).push({ tripId: row.trip_id, time: row.departure_time || row.arrival_time });
+            });
+
+            return {
+                routes, routeById, routeShapes, shapes, stops: stopsRows, stopRoute,
+                tripById, stopTimes, calendar: calendarRows, calendarDates: calendarDateRows
+            };
+        }
+
+        /**
+         * Longest shape used by a route's trips, as [lat, lng] pairs
+         */
+        function getRoutePoints(feed, routeId) {
+            let best = [];
+            (feed.routeShapes.get(routeId) || new Set()).forEach(shapeId => {
+                const rows = feed.shapes.get(shapeId) || [];
+                if (rows.length > best.length) {
+                    best = rows;
+                }
+            });
+
+            return best
+                .slice()
+                .sort((a, b) => Number(a.shape_pt_sequence) - Number(b.shape_pt_sequence))
+                .map(row => [parseFloat(row.shape_pt_lat), parseFloat(row.shape_pt_lon)]);
+        }
+
+        function getRouteColor(route) {
+            return route && route.route_color ? `#${route.route_color}` : '#4a90d9';
+        }
+
+        /**
+         * Fetch all routes in the feed
+         */
+        async function getRoutes() {
+            const feed = await loadStaticFeed();
+
+            return feed.routes.map(route => ({
+                id: route.route_id,
+                name: route.route_long_name || route.route_short_name || `Route ${route.route_id}`,
+                shortName: route.route_short_name || route.route_long_name,
+                color: getRouteColor(route),
+                points: getRoutePoints(feed, route.route_id),
+                groupId: route.agency_id || null
+            }));
+        }
+
+        /**
+         * Fetch all stops served by the loaded routes
+         */
+        async function getStops() {
+            const feed = await loadStaticFeed();
+
+            return feed.stops
+                .filter(stop => feed.stopRoute.has(stop.stop_id))
+                .map(stop => {
+                    const route = feed.routeById.get(feed.stopRoute.get(stop.stop_id));
+                    return {
+                        id: stop.stop_id,
+                        name: stop.stop_name || `Stop ${stop.stop_id}`,
+                        latitude: parseFloat(stop.stop_lat),
+                        longitude: parseFloat(stop.stop_lon),
+                        routeId: route.route_id,
+                        routeName: route.route_short_name || route.route_long_name,
+                        color: getRouteColor(route)
+                    };
+                });
+        }
+
+        /**
+         * Fetch current vehicle positions
+         */
+        async function getBuses() {
+            if (!options.vehiclePositionsUrl) return [];
+
+            const feed = await fetchJson(options.vehiclePositionsUrl);
+
+            return getEntities(feed)
+                .map(entity => entity.vehicle)
+                .filter(vehicle => vehicle && vehicle.position)
+                .filter(vehicle => {
+                    const routeId = field(vehicle.trip, 'route_id', 'routeId');
+                    return routeFilter.size === 0 || routeFilter.has(String(routeId));
+                })
+                .map(vehicle => {
+                    const descriptor = vehicle.vehicle || {};
+                    const id = descriptor.id || descriptor.label;
+                    const timestamp = Number(vehicle.timestamp);
+                    const occupancy = field(vehicle, 'occupancy_percentage', 'occupancyPercentage');
+                    return {
+                        id: id,
+                        busName: descriptor.label || `Bus ${id}`,
+                        routeId: field(vehicle.trip, 'route_id', 'routeId'),
+                        latitude: parseFloat(vehicle.position.latitude),
+                        longitude: parseFloat(vehicle.position.longitude),
+                        heading: parseFloat(vehicle.position.bearing) || 0,
+                        speed: (parseFloat(vehicle.position.speed) || 0) * MPS_TO_MPH,
+                        paxLoad: occupancy || 0,
+                        capacity: occupancy !== undefined ? 100 : null,
+                        timestamp: timestamp ? timestamp * 1000 : Date.now()
+                    };
+                });
+        }
+
+        /**
+         * Fetch arrival predictions for a stop from trip updates
+         */
+        async function getStopArrivals(stopId) {
+            if (!options.tripUpdatesUrl) return [];
+
+            const [feed, staticData] = await Promise.all([
+                fetchJson(options.tripUpdatesUrl),
+                loadStaticFeed()
+            ]);
+            // Predictions are absolute times, so compare against the recording's clock when replaying
+            const now = Recorder.getReplayTime();
+            const arrivals = [];
+
+            getEntities(feed).forEach(entity => {
+                const update = field(entity, 'trip_update', 'tripUpdate');
+                if (!update) return;
+
+                const routeId = field(update.trip, 'route_id', 'routeId');
+                if (routeFilter.size > 0 && !routeFilter.has(String(routeId))) return;
+
+                const stopUpdate = (field(update, 'stop_time_update', 'stopTimeUpdate') || [])
+                    .find(u => String(field(u, 'stop_id', 'stopId')) === String(stopId));
+                const event = stopUpdate && (stopUpdate.arrival || stopUpdate.departure);
+                if (!event || !event.time) return;
+
+                const time = Number(event.time) * 1000;
+                if (time < now) return;
+
+                const vehicle = update.vehicle || {};
+                const route = staticData.routeById.get(String(routeId));
+                arrivals.push({
+                    busId: vehicle.id || vehicle.label,
+                    busName: vehicle.label || `Bus ${vehicle.id}`,
+                    routeId: routeId,
+                    routeName: route ? (route.route_short_name || route.route_long_name) : undefined,
+                    eta: Math.round((time - now) / 60000),
+                    scheduledTime: event.delay !== undefined ? time - Number(event.delay) * 1000 : undefined,
+                    timestamp: now
+                });
+            });
+
+            return arrivals.sort((a, b) => a.eta - b.eta);
+        }
+
+        /**
+         * Scheduled departures from a stop on a service day
+         * @returns {Array} [{ routeId, tripId, headsign, time }] with time in ms
+         */
+        async function getStopSchedule(stopId, date) {
+            const feed = await loadStaticFeed();
+            const services = getActiveServices(feed, date);
+            const midnight = new Date(date);
+            midnight.setHours(0, 0, 0, 0);
+
+            return (feed.stopTimes.get(String(stopId)) || [])
+                .filter(stopTime => {
+                    const trip = feed.tripById.get(stopTime.tripId);
+                    return trip && services.has(trip.service_id) && stopTime.time;
+                })
+                .map(stopTime => {
+                    const trip = feed.tripById.get(stopTime.tripId);
+                    const [hours, minutes, seconds] = stopTime.time.split(':').map(Number);
+                    const time = new Date(midnight);
+                    time.setHours(hours, minutes, seconds || 0);
+                    return {
+                        routeId: trip.route_id,
+                        tripId: trip.trip_id,
+                        headsign: trip.trip_headsign || '',
+                        time: time.getTime()
+                    };
+                })
+                .sort((a, b) => a.time - b.time);
+        }
+
+        /**
+         * Fetch service alerts
+         */
+        async function getAlerts() {
+            if (!options.alertsUrl) return [];
+
+            const feed = await fetchJson(options.alertsUrl);
+
+            return getEntities(feed)
+                .filter(entity => entity.alert)
+                .map(entity => {
+                    const alert = entity.alert;
+                    const routeIds = (field(alert, 'informed_entity', 'informedEntity') || [])
+                        .map(informed => field(informed, 'route_id', 'routeId'))
+                        .filter(Boolean)
+                        .map(String);
+                    const period = (field(alert, 'active_period', 'activePeriod') || [])[0] || {};
+                    const effect = alert.effect || '';
+                    return {
+                        id: String(entity.id),
+                        title: getTranslation(field(alert, 'header_text', 'headerText')) || 'Service alert',
+                        text: getTranslation(field(alert, 'description_text', 'descriptionText')),
+                        routeIds,
+                        start: period.start ? Number(period.start) * 1000 : null,
+                        end: period.end ? Number(period.end) * 1000 : null,
+                        important: effect === 'NO_SERVICE' || effect === 'DETOUR'
+                    };
+                })
+                .filter(alert => routeFilter.size === 0 || alert.routeIds.length === 0 ||
+                    alert.routeIds.some(id => routeFilter.has(id)));
+        }
+
+        return {
+            getRoutes,
+            getStops,
+            getBuses,
+            getStopArrivals,
+            getStopSchedule,
+            getAlerts
+        };
+    }
+
+    /**
+     * Service IDs running on a date, from calendar.txt and calendar_dates.txt
+     */
+    function getActiveServices(feed, date) {
+        const day = `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+        const weekday = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][date.getDay()];
+        const services = new Set();
+
+        feed.calendar.forEach(row => {
+            if (row[weekday] === '1' && row.start_date <= day && day <= row.end_date) {
+                services.add(row.service_id);
+            }
+        });
+
+        // Exceptions: 1 adds service on the date, 2 removes it
+        feed.calendarDates.forEach(row => {
+            if (row.date !== day) return;
+            if (row.exception_type === '1') services.add(row.service_id);
+            if (row.exception_type === '2') services.delete(row.service_id);
+        });
+
+        return services;
+    }
+
+    /**
+     * Read a field that may be snake_case (GTFS-RT JSON) or camelCase (protobuf JSON mapping)
+     */
+    function field(obj, snakeName, camelName) {
+        if (!obj) return undefined;
+        return obj[snakeName] !== undefined ? obj[snakeName] : obj[camelName];
+    }
+
+    /**
+     * Text of a GTFS-RT TranslatedString, preferring English
+     */
+    function getTranslation(translated) {
+        const translations = (translated && translated.translation) || [];
+        const english = translations.find(t => !t.language || t.language.startsWith('en'));
+        const chosen = english || translations[0];
+        return chosen ? chosen.text : '';
+    }
+
+    function getEntities(feed) {
+        return (feed && (feed.entity || feed.entities)) || [];
+    }
+
+    async function fetchJson(url) {
+        const response = await Http.request(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return JSON.parse(response.text);
+    }
+
+    async function fetchText(url) {
+        const response = await Http.request(url, {}, { timeout: STATIC_TIMEOUT_MS });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} loading ${url}`);
+        }
+        return response.text;
+    }
+
+    async function fetchCsv(url) {
+        return parseCsv(await fetchText(url));
+    }
+
+    /**
+     * Parse CSV text into objects keyed by the header row
+     * @param {string} text - CSV text
+     * @param {Object} only - Optional { column, values }: keep just the rows whose column is a key
+     *     of values (a Map or Set), dropped as they're read so large files aren't held whole
+     */
+    function parseCsv(text, only = null) {
+        const rows = [];
+        let header = null;
+        let keepIndex = -1;
+        let row = [];
+        let value = '';
+        let inQuotes = false;
+
+        // Strip byte order mark
+        const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+        const endRow = () => {
+            row.push(value);
+            if (!header) {
+                header = row.map(name => name.trim());
+                keepIndex = only ? header.indexOf(only.column) : -1;
+            } else if ((row.length > 1 || row[0] !== '') &&
+                (keepIndex < 0 || only.values.has((row[keepIndex] || '').trim()))) {
+                rows.push(row);
+            }
+            row = [];
+            value = '';
+        };
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    value += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(value);
+                value = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                endRow();
+            } else {
+                value += char;
+            }
+        }
+
+        if (value !== '' || row.length > 0) {
+            endRow();
+        }
+
+        return rows.map(cells => {
+            const obj = {};
+            (header || []).forEach((name, index) => {
+                obj[name] = cells[index] !== undefined ? cells[index].trim() : '';
+            });
+            return obj;
+        });
+    }
+
+    // Public API
+    return {
+        create,
+        parseCsv
+    };
+})();
@@ -0,0 +1,301 @@
+/**
+ * PassioGo data provider, reached through the Cloudflare Worker proxy
+ */
+const PassioProvider = (function() {
+    /**
+     * Create a provider for one PassioGo system
+     * @param {Object} options - { workerUrl, systemId }
+     */
+    function create(options) {
+        const WORKER_URL = options.workerUrl;
+        const SYSTEM_ID = String(options.systemId);
+
+        /**
+         * Make a request for this system through the worker
+         */
+        function postRequest(endpoint, body) {
+            return postToWorker(WORKER_URL, endpoint, body);
+        }
+
+        /**
+         * Fetch all routes for the system
+         */
+        async function getRoutes() {
+            const data = await postRequest('getRoutes=2', {
+                systemSelected0: parseInt(SYSTEM_ID),
+                amount: 1
+            });
+
+            if (!data) {
+                console.error('No data returned from routes API');
+                return [];
+            }
+
+            // Routes are in data.all array
+            const routesArray = data.all || [];
+            console.log('Raw routes:', routesArray.length);
+
+            return routesArray.map(route => ({
+                id: route.myid || route.id,
+                name: route.name || route.longName || `Route ${route.id}`,
+                shortName: route.shortName || route.name,
+                color: route.color || '#4a90d9',
+                points: parseRoutePoints(route.points),
+                groupId: route.groupId
+            }));
+        }
+
+        /**
+         * Fetch all stops for the system
+         */
+        async function getStops() {
+            const data = await postRequest('getStops=2', {
+                s0: SYSTEM_ID,
+                sA: 1
+            });
+
+            if (!data || !data.stops) {
+                console.error('No stops data returned');
+                return [];
+            }
+
+            // Stops are returned as an object with ID keys like "ID207691"
+            const stopsObj = data.stops;
+            const stops = [];
+
+            for (const key in stopsObj) {
+                if (stopsObj.hasOwnProperty(key)) {
+                    const stop = stopsObj[key];
+                    stops.push({
+                        id: stop.id || stop.stopId,
+                        name: stop.name || `Stop ${stop.id}`,
+                        latitude: parseFloat(stop.latitude),
+                        longitude: parseFloat(stop.longitude),
+                        routeId: stop.routeId,
+                        routeName: stop.routeName,
+                        color: stop.color || '#666666'
+                    });
+                }
+            }
+
+            console.log('Parsed stops:', stops.length);
+            return stops;
+        }
+
+        /**
+         * Fetch current bus positions
+         */
+        async function getBuses() {
+            const data = await postRequest('getBuses=1', {
+                s0: SYSTEM_ID,
+                sA: 1
+            });
+
+            if (!data || !data.buses) {
+                return [];
+            }
+
+            return flattenCollection(data.buses).map(bus => ({
+                id: bus.busId || bus.id,
+                busName: bus.busName || bus.name || `Bus ${bus.busId || bus.id}`,
+                routeId: bus.routeId || bus.route,
+                latitude: parseFloat(bus.latitude),
+                longitude: parseFloat(bus.longitude),
+                heading: parseHeading(bus.heading),
+                speed: parseFloat(bus.speed) || 0,
+                paxLoad: bus.paxLoad || 0,
+                capacity: parseInt(bus.totalCap) || null,
+                timestamp: parseTimestamp(bus.updated || bus.timestamp)
+            }));
+        }
+
+        /**
+         * Fetch arrival predictions for a stop
+         */
+        async function getStopArrivals(stopId) {
+            const data = await postRequest('getStopArrivals=2', {
+                stop: stopId,
+                s0: SYSTEM_ID,
+                sA: 1
+            });
+
+            if (!data || !data.arrivals) {
+                return [];
+            }
+
+            return flattenCollection(data.arrivals).map(arrival => ({
+                busId: arrival.busId || arrival.bus,
+                busName: arrival.busName || `Bus ${arrival.busId}`,
+                routeId: arrival.routeId || arrival.route,
+                routeName: arrival.routeName,
+                eta: parseInt(arrival.eta || arrival.minutes) || 0,
+                scheduledTime: arrival.scheduledTime || arrival.scheduled,
+                timestamp: Date.now()
+            }));
+        }
+
+        /**
+         * Fetch service alerts and announcements
+         */
+        async function getAlerts() {
+            const data = await postRequest('getAlertMessages=1', {
+                systemSelected0: parseInt(SYSTEM_ID),
+                amount: 1,
+                routesAmount: 0
+            });
+
+            if (!data || !data.msgs) {
+                return [];
+            }
+
+            return flattenCollection(data.msgs)
+                .filter(msg => !parseInt(msg.archive))
+                .map(msg => ({
+                    id: String(msg.id),
+                    title: msg.name || msg.gtfsAlertHeaderText || 'Service alert',
+                    text: stripHtml(msg.html || msg.gtfsAlertDescriptionText || ''),
+                    routeIds: msg.routeId ? [String(msg.routeId)] : [],
+                    start: parseTime(msg.from),
+                    end: parseTime(msg.to),
+                    important: Boolean(parseInt(msg.important))
+                }));
+        }
+
+        return {
+            getRoutes,
+            getStops,
+            getBuses,
+            getStopArrivals,
+            getAlerts
+        };
+    }
+
+    /**
+     * Direction of travel in degrees, or null when the feed doesn't give one
+     * (0 would mean due north)
+     */
+    function parseHeading(value) {
+        const heading = parseFloat(value);
+        return isFinite(heading) ? heading : null;
+    }
+
+    /**
+     * When a bus last reported, in ms, from seconds or ms since the epoch or a date string
+     * Buses without a readable time count as reporting now.
+     */
+    function parseTimestamp(value) {
+        if (value === undefined || value === null || value === '') return Date.now();
+
+        const number = Number(value);
+        if (!isNaN(number)) {
+            return number < 1e12 ? number * 1000 : number;
+        }
+        const parsed = Date.parse(value);
+        return isNaN(parsed) ? Date.now() : parsed;
+    }
+
+    /**
+     * Make a request through Cloudflare Worker
+     * Http retries failures and stops calling the worker for a while when it keeps failing.
+     */
+    async function postToWorker(workerUrl, endpoint, body) {
+        const response = await Http.request(`${workerUrl}?endpoint=${encodeURIComponent(endpoint)}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: `json=${encodeURIComponent(JSON.stringify(body))}`
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const text = response.text;
+        if (!text || text.trim() === '') return null;
+        return JSON.parse(text);
+    }
+
+    /**
+     * List every PassioGo system
+     * @param {Object} options - { workerUrl }
+     * @returns {Array} [{ id, name }]
+     */
+    async function listSystems(options) {
+        const data = await postToWorker(options.workerUrl, 'getSystems=2', {});
+        const systems = (data && data.all) || [];
+
+        return systems.map(system => ({
+            id: String(system.id),
+            name: system.fullname || system.name || `System ${system.id}`
+        }));
+    }
+
+    /**
+     * Parse route points string into coordinates array
+     */
+    function parseRoutePoints(pointsStr) {
+        if (!pointsStr) return [];
+
+        const points = [];
+        const parts = pointsStr.split(',');
+
+        for (let i = 0; i < parts.length - 1; i += 2) {
+            const lat = parseFloat(parts[i]);
+            const lng = parseFloat(parts[i + 1]);
+            if (!isNaN(lat) && !isNaN(lng)) {
+                points.push([lat, lng]);
+            }
+        }
+
+        return points;
+    }
+
+    /**
+     * Plain text from an alert's HTML body
+     */
+    function stripHtml(html) {
+        return html
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&amp;/g, '&')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .trim();
+    }
+
+    /**
+     * Parse an alert time, which may be missing or a placeholder
+     */
+    function parseTime(value) {
+        const time = Date.parse(value);
+        return isNaN(time) ? null : time;
+    }
+
+    /**
+     * Flatten PassioGo collections, which come as arrays or as objects of items/arrays
+     */
+    function flattenCollection(collection) {
+        if (Array.isArray(collection)) {
+            return collection;
+        }
+
+        const items = [];
+        for (const key in collection) {
+            if (collection.hasOwnProperty(key)) {
+                const item = collection[key];
+                if (Array.isArray(item)) {
+                    items.push(...item);
+                } else {
+                    items.push(item);
+                }
+            }
+        }
+        return items;
+    }
+
+    // Public API
+    return {
+        create,
+        listSystems
+    };
+})();
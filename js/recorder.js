@@ -0,0 +1,272 @@
+/**
+ * Recorder module for capturing provider responses and replaying them later
+ * Providers make their requests through Http, which uses Recorder.fetch, so a
+ * recording holds the raw response bodies and replays run through the normal
+ * parsing code.
+ */
+const Recorder = (function() {
+    const FILE_VERSION = 1;
+    const SPEEDS = [1, 5, 20];
+
+    let recording = null; // { system, startedAt, entries } while recording
+    let replay = null; // { system, entries, start, end, speed, clockStart, virtualStart } while replaying
+    const listeners = [];
+
+    /**
+     * Check the URL for replay mode and load the recording
+     * ?replay=<url> loads a recording file from a URL, plain ?replay asks the user for a file.
+     * &speed=5 picks the playback speed.
+     * @returns {boolean} Whether the app is replaying
+     */
+    async function init() {
+        const params = new URLSearchParams(window.location.search);
+        if (!params.has('replay')) {
+            return false;
+        }
+
+        const source = params.get('replay');
+        const speed = parseInt(params.get('speed')) || 1;
+
+        try {
+            const data = source ? await loadFromUrl(source) : await UI.pickRecordingFile();
+            startReplay(data, speed);
+        } catch (error) {
+            console.error('Failed to load recording:', error);
+            UI.showToast('Could not load recording');
+            return false;
+        }
+        return true;
+    }
+
+    async function loadFromUrl(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Start replaying a recording
+     */
+    function startReplay(data, speed) {
+        if (!data || !Array.isArray(data.entries) || data.entries.length === 0) {
+            throw new Error('Recording has no entries');
+        }
+        if (data.version > FILE_VERSION) {
+            console.warn('Recording was made by a newer version of the app');
+        }
+
+        const entries = data.entries.slice().sort((a, b) => a.t - b.t);
+        replay = {
+            system: data.system || null,
+            entries,
+            start: entries[0].t,
+            end: entries[entries.length - 1].t,
+            speed: SPEEDS.includes(speed) ? speed : 1,
+            clockStart: Date.now(),
+            virtualStart: entries[0].t
+        };
+
+        console.log(`Replaying ${entries.length} responses at ${replay.speed}x`);
+        notify();
+    }
+
+    /**
+     * Current time in the recording
+     */
+    function getReplayTime() {
+        if (!replay) return Date.now();
+        const elapsed = (Date.now() - replay.clockStart) * replay.speed;
+        return Math.min(replay.virtualStart + elapsed, replay.end);
+    }
+
+    /**
+     * Change the playback speed, keeping the current position
+     */
+    function setSpeed(speed) {
+        if (!replay || !SPEEDS.includes(speed)) return;
+        replay.virtualStart = getReplayTime();
+        replay.clockStart = Date.now();
+        replay.speed = speed;
+        notify();
+    }
+
+    /**
+     * Playback speed multiplier (1 when not replaying)
+     */
+    function getSpeed() {
+        return replay ? replay.speed : 1;
+    }
+
+    function isReplaying() {
+        return replay !== null;
+    }
+
+    /**
+     * Transit system the recording was made on, if replaying
+     */
+    function getReplaySystem() {
+        return replay ? replay.system : null;
+    }
+
+    /**
+     * Replay progress for display
+     */
+    function getReplayStatus() {
+        if (!replay) return null;
+        const time = getReplayTime();
+        return {
+            speed: replay.speed,
+            time,
+            elapsed: time - replay.start,
+            duration: replay.end - replay.start,
+            finished: time >= replay.end
+        };
+    }
+
+    function requestKey(url, init) {
+        const method = (init && init.method) || 'GET';
+        const body = (init && init.body) || '';
+        return `${method} ${url} ${body}`;
+    }
+
+    /**
+     * Fetch used by providers: records responses while recording,
+     * serves them from the recording while replaying
+     */
+    async function recorderFetch(url, init = {}) {
+        if (replay) {
+            return replayResponse(url, init);
+        }
+
+        const response = await fetch(url, init);
+
+        if (recording) {
+            const text = await response.clone().text();
+            recording.entries.push({
+                t: Date.now(),
+                method: init.method || 'GET',
+                url,
+                body: init.body || '',
+                status: response.status,
+                response: text
+            });
+            notify();
+        }
+
+        return response;
+    }
+
+    /**
+     * Latest recorded response to the same request at the current replay time
+     */
+    function replayResponse(url, init) {
+        const key = requestKey(url, init);
+        const time = getReplayTime();
+        const matches = replay.entries.filter(entry => requestKey(entry.url, entry) === key);
+
+        if (matches.length === 0) {
+            // Never requested during the recording (e.g. arrivals for another stop)
+            return new Response('', { status: 200 });
+        }
+
+        let match = matches[0];
+        for (const entry of matches) {
+            if (entry.t > time) break;
+            match = entry;
+        }
+
+        return new Response(match.response, { status: match.status });
+    }
+
+    /**
+     * Start capturing responses
+     */
+    function startRecording() {
+        if (replay) return;
+        const system = API.getSystem();
+        recording = {
+            system: system ? { ...system } : null,
+            startedAt: Date.now(),
+            entries: []
+        };
+        console.log('Recording started');
+        notify();
+    }
+
+    /**
+     * Stop capturing and download the recording as a JSON file
+     * A recording with no responses can't be replayed, so it's dropped instead.
+     */
+    function stopRecording() {
+        if (!recording) return;
+
+        if (recording.entries.length === 0) {
+            recording = null;
+            notify();
+            UI.showToast('Nothing recorded yet · recording discarded');
+            return;
+        }
+
+        const data = {
+            version: FILE_VERSION,
+            app: 'lma-bus-tracker',
+            system: recording.system,
+            startedAt: recording.startedAt,
+            endedAt: Date.now(),
+            entries: recording.entries
+        };
+        recording = null;
+        notify();
+
+        const stamp = new Date(data.startedAt).toISOString().replace(/[:.]/g, '-');
+        const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `bus-recording-${stamp}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+        console.log('Recording saved with', data.entries.length, 'responses');
+    }
+
+    function isRecording() {
+        return recording !== null;
+    }
+
+    function getRecordedCount() {
+        return recording ? recording.entries.length : 0;
+    }
+
+    /**
+     * Listen for recording/replay state changes
+     */
+    function onChange(callback) {
+        listeners.push(callback);
+    }
+
+    function notify() {
+        listeners.forEach(callback => callback());
+    }
+
+    // Public API
+    return {
+        SPEEDS,
+        init,
+        fetch: recorderFetch,
+        startRecording,
+        stopRecording,
+        isRecording,
+        getRecordedCount,
+        isReplaying,
+        getReplaySystem,
+        getReplayStatus,
+        getReplayTime,
+        getSpeed,
+        setSpeed,
+        onChange
+    };
+})();
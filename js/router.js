@@ -0,0 +1,123 @@
+/**
+ * Router module: keeps the open view in the URL hash so it can be shared and
+ * browser back/forward move between views
+ * #/stop/<id>/to/<id>/bus/<id>?routes=<id>,<id> - every part is optional;
+ * a bus opens the bus view, a stop the arrivals view, neither the stop picker.
+ */
+const Router = (function() {
+    const SEGMENTS = { stop: 'source', to: 'dest', bus: 'bus' };
+
+    const listeners = [];
+    let restoring = false;
+
+    function init() {
+        window.addEventListener('popstate', () => {
+            const state = getState();
+            listeners.forEach(callback => callback(state));
+        });
+    }
+
+    /**
+     * Read a hash into { source, dest, bus, routes }
+     */
+    function parse(hash) {
+        const [path, query] = hash.replace(/^#\/?/, '').split('?');
+        const state = { source: null, dest: null, bus: null, routes: [] };
+
+        const parts = path.split('/').filter(Boolean);
+        for (let i = 0; i + 1 < parts.length; i += 2) {
+            const key = SEGMENTS[parts[i]];
+            if (key) {
+                state[key] = decodeURIComponent(parts[i + 1]);
+            }
+        }
+
+        const routes = new URLSearchParams(query || '').get('routes');
+        if (routes) {
+            state.routes = routes.split(',').filter(Boolean);
+        }
+
+        return state;
+    }
+
+    /**
+     * Write { source, dest, bus, routes } as a hash
+     */
+    function format(state) {
+        let hash = '#/';
+        const parts = [];
+        Object.entries(SEGMENTS).forEach(([segment, key]) => {
+            if (state[key] !== null && state[key] !== undefined && state[key] !== '') {
+                parts.push(segment, encodeURIComponent(state[key]));
+            }
+        });
+        hash += parts.join('/');
+
+        if (parts.length > 0 && state.routes && state.routes.length > 0) {
+            hash += `?routes=${state.routes.map(encodeURIComponent).join(',')}`;
+        }
+        return hash;
+    }
+
+    /**
+     * The state in the current URL
+     */
+    function getState() {
+        return parse(window.location.hash);
+    }
+
+    /**
+     * Add a history entry for a view, unless the URL already shows it
+     */
+    function update(state) {
+        const hash = format(state);
+        if (restoring || hash === format(getState())) return;
+        history.pushState({ app: true }, '', hash);
+    }
+
+    /**
+     * Change the URL without adding a history entry
+     */
+    function replace(state) {
+        history.replaceState(history.state, '', format(state));
+    }
+
+    /**
+     * Open the views for a state without recording them as new history entries
+     */
+    function restore(callback) {
+        restoring = true;
+        try {
+            return callback();
+        } finally {
+            restoring = false;
+        }
+    }
+
+    /**
+     * Whether the previous history entry is one of ours, so browser back returns to it
+     */
+    function canGoBack() {
+        return Boolean(history.state && history.state.app);
+    }
+
+    /**
+     * Listen for back/forward navigation
+     */
+    function onChange(callback) {
+        listeners.push(callback);
+    }
+
+    // Public API
+    return {
+        init,
+        parse,
+        format,
+        getState,
+        update,
+        replace,
+        restore,
+        canGoBack,
+        onChange
+    };
+})();
@@ -0,0 +1,144 @@
+/**
+ * Scheduler module: runs the app's polling tasks
+ * Each task waits for its previous run to finish before the next starts, so
+ * requests never overlap. Tasks pause while the page is hidden (unless they
+ * say they must keep running) and run at once when it's shown again. On low
+ * battery every interval is stretched.
+ */
+const Scheduler = (function() {
+    const LOW_BATTERY_LEVEL = 0.2;
+    const LOW_BATTERY_FACTOR = 3; // Intervals are this many times longer on low battery
+
+    const tasks = new Map(); // Name -> { task, interval, background, timer }
+    const busy = new Set(); // Names of tasks running now
+    const pending = new Set(); // Names of tasks to run again as soon as they finish
+    let lowBattery = false;
+
+    function init() {
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                tasks.forEach((entry, name) => schedule(name));
+            } else {
+                // Catch up on whatever changed while the page was hidden
+                tasks.forEach((entry, name) => run(name));
+            }
+        });
+
+        // Battery Status API is only in some browsers
+        if (navigator.getBattery) {
+            navigator.getBattery().then(battery => {
+                const update = () => {
+                    const low = !battery.charging && battery.level <= LOW_BATTERY_LEVEL;
+                    if (low !== lowBattery) {
+                        lowBattery = low;
+                        console.log(low ? 'Low battery, polling less often' : 'Battery fine, polling normally');
+                        reschedule();
+                    }
+                };
+                battery.addEventListener('levelchange', update);
+                battery.addEventListener('chargingchange', update);
+                update();
+            }).catch(error => {
+                console.log('Battery status unavailable:', error.message);
+            });
+        }
+    }
+
+    /**
+     * Run a task repeatedly, replacing any task with the same name
+     * @param {string} name - Task name
+     * @param {Function} task - May return a promise; the next run waits for it
+     * @param {number|Function} interval - Delay in ms between runs, or a function returning it, asked after each run
+     * @param {Object} options - { immediate: run now rather than after the first interval (default true),
+     *     background: function returning whether to keep running while the page is hidden }
+     */
+    function start(name, task, interval, options = {}) {
+        stop(name);
+        tasks.set(name, { task, interval, background: options.background || null, timer: null });
+        if (options.immediate === false) {
+            schedule(name);
+        } else {
+            run(name);
+        }
+    }
+
+    /**
+     * Stop a task; a run already under way finishes but isn't repeated
+     */
+    function stop(name) {
+        const entry = tasks.get(name);
+        if (!entry) return;
+        clearTimeout(entry.timer);
+        tasks.delete(name);
+        pending.delete(name);
+    }
+
+    /**
+     * Run a task now, or straight after the run under way, then carry on with its interval
+     */
+    async function run(name) {
+        const entry = tasks.get(name);
+        if (!entry) return;
+        clearTimeout(entry.timer);
+        entry.timer = null;
+
+        if (busy.has(name)) {
+            pending.add(name);
+            return;
+        }
+        if (isPaused(entry)) return;
+
+        busy.add(name);
+        try {
+            await entry.task();
+        } catch (error) {
+            console.error(`Scheduled task ${name} failed:`, error);
+        } finally {
+            busy.delete(name);
+        }
+
+        if (pending.delete(name)) {
+            run(name);
+        } else {
+            schedule(name);
+        }
+    }
+
+    /**
+     * Set the timer for a task's next run
+     */
+    function schedule(name) {
+        const entry = tasks.get(name);
+        if (!entry) return;
+        clearTimeout(entry.timer);
+        entry.timer = null;
+        if (busy.has(name) || isPaused(entry)) return;
+
+        entry.timer = setTimeout(() => run(name), getDelay(entry));
+    }
+
+    /**
+     * Recompute every task's next run, e.g. after its interval changed
+     */
+    function reschedule() {
+        tasks.forEach((entry, name) => schedule(name));
+    }
+
+    function isPaused(entry) {
+        return document.hidden && !(entry.background && entry.background());
+    }
+
+    function getDelay(entry) {
+        const interval = typeof entry.interval === 'function' ? entry.interval() : entry.interval;
+        return lowBattery ? interval * LOW_BATTERY_FACTOR : interval;
+    }
+
+    // Public API
+    return {
+        init,
+        start,
+        stop,
+        run,
+        reschedule
+    };
+})();
@@ -0,0 +1,173 @@
+/**
+ * Service module: route service hours from Config and alerts from the provider
+ * Turns both into notices such as "Route M2 resumes at 7:00 AM" or a detour.
+ */
+const Service = (function() {
+    const DAY_TYPES = ['sunday', 'weekday', 'weekday', 'weekday', 'weekday', 'weekday', 'saturday'];
+    const MINUTES_PER_DAY = 24 * 60;
+    const LOOKAHEAD_DAYS = 7;
+
+    let alerts = [];
+
+    /**
+     * Fetch the current system's alerts
+     */
+    async function refreshAlerts() {
+        alerts = await API.getAlerts();
+        return alerts;
+    }
+
+    function clearAlerts() {
+        alerts = [];
+    }
+
+    function now() {
+        return new Date(Recorder.getReplayTime());
+    }
+
+    /**
+     * Minutes after midnight from 'HH:MM'
+     */
+    function parseMinutes(time) {
+        const [hours, minutes] = String(time).split(':').map(Number);
+        return hours * 60 + (minutes || 0);
+    }
+
+    /**
+     * 'weekday', 'saturday' or 'sunday'
+     */
+    function getDayType(date) {
+        return DAY_TYPES[date.getDay()];
+    }
+
+    /**
+     * Service hours configured for a route, if any
+     */
+    function getRouteHours(route) {
+        const hours = (API.getSystem() && API.getSystem().serviceHours) || {};
+        return hours[route.shortName] || hours[route.name] || hours[String(route.id)] || null;
+    }
+
+    /**
+     * Periods a route runs on a service day, as [start, end] Dates
+     */
+    function getPeriods(hours, day) {
+        const periods = hours[getDayType(day)] || [];
+        return periods.map(([start, end]) => {
+            const from = new Date(day);
+            from.setMinutes(parseMinutes(start));
+            const to = new Date(day);
+            to.setMinutes(parseMinutes(end));
+            return [from, to];
+        });
+    }
+
+    /**
+     * Whether a route is scheduled to run now and when it next starts
+     * @returns {Object|null} { inService, resumesAt } or null without configured hours
+     */
+    function getRouteStatus(route, at = now()) {
+        const hours = getRouteHours(route);
+        if (!hours) return null;
+
+        // Start from yesterday's service day, which may run past midnight
+        const today = new Date(at);
+        today.setHours(0, 0, 0, 0);
+        let resumesAt = null;
+
+        for (let offset = -1; offset <= LOOKAHEAD_DAYS && !resumesAt; offset++) {
+            const day = new Date(today);
+            day.setDate(day.getDate() + offset);
+
+            for (const [start, end] of getPeriods(hours, day)) {
+                if (start <= at && at < end) {
+                    return { inService: true, resumesAt: null };
+                }
+                if (start > at && (!resumesAt || start < resumesAt)) {
+                    resumesAt = start;
+                }
+            }
+        }
+
+        return { inService: false, resumesAt };
+    }
+
+    /**
+     * "at 7:00 AM", "tomorrow at 7:00 AM" or "Monday at 7:00 AM"
+     */
+    function formatResume(date, at = now()) {
+        const time = date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+        const days = Math.round((startOfDay(date) - startOfDay(at)) / (MINUTES_PER_DAY * 60000));
+
+        if (days <= 0) return `at ${time}`;
+        if (days === 1) return `tomorrow at ${time}`;
+        return `${date.toLocaleDateString([], { weekday: 'long' })} at ${time}`;
+    }
+
+    function startOfDay(date) {
+        const day = new Date(date);
+        day.setHours(0, 0, 0, 0);
+        return day.getTime();
+    }
+
+    /**
+     * Alerts in effect now, optionally only those for some routes (system-wide alerts always apply)
+     */
+    function getActiveAlerts(routeIds = null) {
+        const time = now().getTime();
+        const routeSet = routeIds ? new Set(routeIds.map(String)) : null;
+
+        return alerts.filter(alert => {
+            if (alert.start && alert.start > time) return false;
+            if (alert.end && alert.end < time) return false;
+            if (!routeSet || alert.routeIds.length === 0) return true;
+            return alert.routeIds.some(id => routeSet.has(id));
+        });
+    }
+
+    /**
+     * Notices for a set of routes: routes not running now, then alerts
+     * @returns {Array} [{ type: 'schedule'|'alert', important, title, text }]
+     */
+    function getNotices(routes) {
+        const notices = [];
+
+        routes.forEach(route => {
+            const status = getRouteStatus(route);
+            if (!status || status.inService) return;
+
+            const name = route.shortName || route.name;
+            notices.push({
+                type: 'schedule',
+                important: false,
+                title: status.resumesAt
+                    ? `Route ${name} resumes ${formatResume(status.resumesAt)}`
+                    : `Route ${name} is not running`,
+                text: ''
+            });
+        });
+
+        getActiveAlerts(routes.map(route => route.id))
+            .sort((a, b) => b.important - a.important)
+            .forEach(alert => {
+                notices.push({
+                    type: 'alert',
+                    important: alert.important,
+                    title: alert.title,
+                    text: alert.text
+                });
+            });
+
+        return notices;
+    }
+
+    // Public API
+    return {
+        refreshAlerts,
+        clearAlerts,
+        getDayType,
+        getRouteStatus,
+        getActiveAlerts,
+        getNotices
+    };
+})();
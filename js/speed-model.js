@@ -0,0 +1,314 @@
+/**
+ * Speed model module that learns segment traversal times from observed bus positions
+ * and stores them in IndexedDB
+ */
+const SpeedModel = (function() {
+    const DB_NAME = 'lma_bus_tracker';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'segmentSpeeds';
+    const SEGMENT_LENGTH_KM = 0.2; // Routes are split into segments of this length
+    const MAX_OBSERVATION_GAP_MS = 60000; // Longer gaps (layovers, missed polls) aren't learned from
+    const MIN_MOVE_KM = 0.005; // Smaller moves count as dwelling in place
+    const MAX_MOVE_KM = 2; // Larger jumps between polls are GPS glitches
+    const MAX_TRAVEL_KMH = 100; // Faster moves are glitches, or backward jitter wrapped nearly a lap round a loop
+    const MAX_BUS_OFFSET_KM = 0.2; // Buses further than this from their route are off-route
+    const MIN_SAMPLES = 3; // Observations needed before a bucket's speed is trusted
+    const MIN_SPEED_KMH = 2;
+    const MAX_SPEED_KMH = 60;
+    const FLUSH_INTERVAL = 30000; // 30 seconds
+
+    let db = null;
+
+    // Raw buckets by route, segment, day of week and hour, as persisted
+    const buckets = new Map();
+    // Aggregates of the raw buckets for fallback lookups (weekday/weekend by hour, then any time)
+    const dayTypeBuckets = new Map();
+    const segmentBuckets = new Map();
+    const dirtyKeys = new Set();
+
+    // Last usable observation per bus
+    const lastSeen = new Map();
+
+    /**
+     * Open the database and load learned speeds into memory
+     */
+    async function init() {
+        if (!window.indexedDB) {
+            console.log('IndexedDB not supported, speed model will not persist');
+            return;
+        }
+
+        try {
+            db = await openDatabase();
+            const records = await getAllRecords();
+            records.forEach(record => {
+                buckets.set(record.key, record);
+                addToAggregates(record, record.distance, record.seconds, record.samples);
+            });
+            console.log('Loaded', records.length, 'learned speed buckets');
+        } catch (error) {
+            console.error('Failed to open speed model database:', error);
+            db = null;
+        }
+
+        setInterval(flush, FLUSH_INTERVAL);
+        window.addEventListener('pagehide', flush);
+    }
+
+    /**
+     * Open (and create if needed) the IndexedDB database
+     */
+    function openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const database = request.result;
+                if (!database.objectStoreNames.contains(STORE_NAME)) {
+                    database.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Read every stored bucket
+     */
+    function getAllRecords() {
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Write changed buckets to IndexedDB
+     */
+    function flush() {
+        if (!db || dirtyKeys.size === 0) return;
+
+        try {
+            const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+            dirtyKeys.forEach(key => store.put(buckets.get(key)));
+            dirtyKeys.clear();
+        } catch (error) {
+            console.error('Failed to save speed model:', error);
+        }
+    }
+
+    function isWeekend(day) {
+        return day === 0 || day === 6;
+    }
+
+    function bucketKey(routeId, segment, day, hour) {
+        return `${routeId}|${segment}|${day}|${hour}`;
+    }
+
+    function dayTypeKey(routeId, segment, day, hour) {
+        return `${routeId}|${segment}|${isWeekend(day) ? 'weekend' : 'weekday'}|${hour}`;
+    }
+
+    function segmentKey(routeId, segment) {
+        return `${routeId}|${segment}`;
+    }
+
+    /**
+     * Add traversal totals to an aggregate map
+     */
+    function accumulate(map, key, distance, seconds, samples) {
+        const entry = map.get(key) || { distance: 0, seconds: 0, samples: 0 };
+        entry.distance += distance;
+        entry.seconds += seconds;
+        entry.samples += samples;
+        map.set(key, entry);
+    }
+
+    function addToAggregates(record, distance, seconds, samples) {
+        accumulate(dayTypeBuckets, dayTypeKey(record.routeId, record.segment, record.day, record.hour), distance, seconds, samples);
+        accumulate(segmentBuckets, segmentKey(record.routeId, record.segment), distance, seconds, samples);
+    }
+
+    /**
+     * Record time spent travelling part of one segment
+     */
+    function recordTraversal(routeId, segment, distance, seconds, date) {
+        const day = date.getDay();
+        const hour = date.getHours();
+        const key = bucketKey(routeId, segment, day, hour);
+
+        const record = buckets.get(key) || {
+            key,
+            routeId,
+            segment,
+            day,
+            hour,
+            distance: 0,
+            seconds: 0,
+            samples: 0
+        };
+        record.distance += distance;
+        record.seconds += seconds;
+        record.samples += 1;
+        buckets.set(key, record);
+        addToAggregates(record, distance, seconds, 1);
+        dirtyKeys.add(key);
+    }
+
+    /**
+     * Split a move along the route into per-segment pieces
+     * Wraps around the end of loop routes.
+     */
+    function splitIntoSegments(points, fromAlong, distance, callback) {
+        const length = RouteGeometry.getLength(points);
+        const segmentCount = Math.max(1, Math.ceil(length / SEGMENT_LENGTH_KM));
+        let position = fromAlong;
+        let remaining = distance;
+
+        while (remaining > 1e-9) {
+            if (position >= length) {
+                position -= length;
+            }
+            const segment = Math.min(Math.floor(position / SEGMENT_LENGTH_KM), segmentCount - 1);
+            const segmentEnd = Math.min((segment + 1) * SEGMENT_LENGTH_KM, length);
+            const piece = Math.min(remaining, Math.max(segmentEnd - position, 1e-9));
+
+            callback(segment, piece, position);
+
+            position += piece;
+            remaining -= piece;
+        }
+    }
+
+    /**
+     * Learn from a fresh set of bus positions
+     * @param {Array} buses - Buses from API.getBuses
+     * @param {Array} routes - All routes
+     */
+    function observe(buses, routes) {
+        const routeMap = new Map();
+        routes.forEach(r => routeMap.set(String(r.id), r));
+        const now = Date.now();
+        const seenIds = new Set();
+
+        buses.forEach(bus => {
+            const busId = String(bus.id);
+            seenIds.add(busId);
+
+            const route = routeMap.get(String(bus.routeId));
+            if (!route || !route.points || route.points.length < 2) return;
+
+            const position = RouteGeometry.project(route.points, bus.latitude, bus.longitude, bus.heading);
+            if (!position || position.offset > MAX_BUS_OFFSET_KM) {
+                lastSeen.delete(busId);
+                return;
+            }
+
+            const current = { routeId: String(route.id), along: position.along, time: now };
+            const previous = lastSeen.get(busId);
+
+            if (!previous || previous.routeId !== current.routeId || now - previous.time > MAX_OBSERVATION_GAP_MS) {
+                lastSeen.set(busId, current);
+                return;
+            }
+
+            const moved = RouteGeometry.distanceBetween(route.points, previous.along, current.along);
+
+            // Keep the earlier observation while dwelling so the dwell time is counted in the next move
+            if (moved !== null && moved < MIN_MOVE_KM) return;
+
+            const seconds = (now - previous.time) / 1000;
+            if (moved !== null && moved <= MAX_MOVE_KM && moved <= MAX_TRAVEL_KMH * seconds / 3600) {
+                const date = new Date(previous.time);
+                splitIntoSegments(route.points, previous.along, moved, (segment, piece) => {
+                    recordTraversal(current.routeId, segment, piece, seconds * piece / moved, date);
+                });
+            }
+
+            lastSeen.set(busId, current);
+        });
+
+        // Forget buses that are no longer reporting
+        lastSeen.forEach((_, busId) => {
+            if (!seenIds.has(busId)) {
+                lastSeen.delete(busId);
+            }
+        });
+    }
+
+    /**
+     * Learned speed (km/h) for a segment at a time, or null without enough data
+     */
+    function getSegmentSpeed(routeId, segment, date) {
+        const day = date.getDay();
+        const hour = date.getHours();
+        const candidates = [
+            buckets.get(bucketKey(routeId, segment, day, hour)),
+            dayTypeBuckets.get(dayTypeKey(routeId, segment, day, hour)),
+            segmentBuckets.get(segmentKey(routeId, segment))
+        ];
+
+        for (const entry of candidates) {
+            if (entry && entry.samples >= MIN_SAMPLES && entry.seconds > 0) {
+                const speed = entry.distance / (entry.seconds / 3600);
+                return Math.max(MIN_SPEED_KMH, Math.min(MAX_SPEED_KMH, speed));
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Estimate seconds needed to travel a distance along a route
+     * @param {Object} route - Route with points
+     * @param {number} fromAlong - Starting distance along the route in km
+     * @param {number} distance - Distance to travel in km
+     * @param {number} fallbackSpeed - Speed in km/h for segments without learned data
+     * @param {Date} start - When the trip starts (defaults to now)
+     */
+    function estimateSeconds(route, fromAlong, distance, fallbackSpeed, start = new Date()) {
+        if (!route || !route.points || route.points.length < 2 || distance <= 0) {
+            return (distance / fallbackSpeed) * 3600;
+        }
+
+        const routeId = String(route.id);
+        let seconds = 0;
+
+        splitIntoSegments(route.points, fromAlong, distance, (segment, piece) => {
+            const when = new Date(start.getTime() + seconds * 1000);
+            const speed = getSegmentSpeed(routeId, segment, when) || fallbackSpeed;
+            seconds += (piece / speed) * 3600;
+        });
+
+        return seconds;
+    }
+
+    /**
+     * Forget all learned speeds
+     */
+    async function clear() {
+        buckets.clear();
+        dayTypeBuckets.clear();
+        segmentBuckets.clear();
+        dirtyKeys.clear();
+        lastSeen.clear();
+
+        if (db) {
+            await new Promise((resolve, reject) => {
+                const request = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME).clear();
+                request.onsuccess = () => resolve();
+                request.onerror = () => reject(request.error);
+            });
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        observe,
+        estimateSeconds,
+        flush,
+        clear
+    };
+})();
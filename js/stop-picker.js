@@ -0,0 +1,387 @@
+/**
+ * Stop picker module: a type-ahead over the stop dropdowns
+ * Physical stops that share a name (e.g. both sides of the street) are grouped
+ * under it with one choice per direction. The <select> stays the source of
+ * truth, so picking a stop sets its value and fires `change`.
+ */
+const StopPicker = (function() {
+    const RECENT_KEY = 'lma_bus_tracker_recent_stops';
+    const MAX_RECENT = 5;
+    const MAX_RESULTS = 30;
+    const RECENT_BONUS = 2; // Enough to break ties, not to beat a better match
+    const COMPASS = ['Northbound', 'Eastbound', 'Southbound', 'Westbound'];
+
+    /**
+     * Group stops by name, with one choice per physical stop
+     * @param {Array} stops - Stops, possibly repeated once per route
+     * @param {Array} routes - Routes, used for directions and route names
+     * @returns {Array} [{ name, searchTexts, choices: [{ stopId, label }] }] sorted by name
+     */
+    function group(stops, routes) {
+        const routeMap = new Map(routes.map(route => [String(route.id), route]));
+
+        const physical = new Map(); // stop ID -> { stop, routeIds }
+        stops.forEach(stop => {
+            const id = String(stop.id);
+            if (!physical.has(id)) {
+                physical.set(id, { stop, routeIds: [] });
+            }
+            const routeIds = physical.get(id).routeIds;
+            if (!routeIds.includes(String(stop.routeId))) {
+                routeIds.push(String(stop.routeId));
+            }
+        });
+
+        const groups = new Map();
+        physical.forEach(({ stop, routeIds }, id) => {
+            const stopRoutes = routeIds.map(routeId => routeMap.get(routeId)).filter(Boolean);
+            if (!groups.has(stop.name)) {
+                groups.set(stop.name, { name: stop.name, originalNames: new Set(), choices: [] });
+            }
+            const entry = groups.get(stop.name);
+            if (stop.originalName) {
+                entry.originalNames.add(stop.originalName);
+            }
+            entry.choices.push({
+                stopId: id,
+                originalName: stop.originalName,
+                direction: getDirection(stop, stopRoutes),
+                routeNames: stopRoutes.map(route => route.shortName || route.name)
+            });
+        });
+
+        return Array.from(groups.values())
+            .map(entry => ({
+                name: entry.name,
+                searchTexts: [entry.name, ...entry.originalNames].map(normalize),
+                choices: labelChoices(entry.choices)
+            }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Direction of travel past a stop, from the first route whose path passes it
+     */
+    function getDirection(stop, stopRoutes) {
+        for (const route of stopRoutes) {
+            const along = API.getStopPosition(stop, route);
+            if (along === null) continue;
+
+            const point = RouteGeometry.pointAt(route.points, along);
+            return COMPASS[Math.round(point.bearing / 90) % 4];
+        }
+        return null;
+    }
+
+    /**
+     * "Northbound · M2, M6", falling back to the provider's name, with repeats told apart
+     */
+    function labelChoices(choices) {
+        const seen = new Set();
+        return choices.map(choice => {
+            let label = [choice.direction, choice.routeNames.join(', ')].filter(Boolean).join(' · ')
+                || choice.originalName
+                || `Stop ${choice.stopId}`;
+            if (seen.has(label)) {
+                label += ` (${choice.originalName && !label.includes(choice.originalName) ? choice.originalName : `stop ${choice.stopId}`})`;
+            }
+            seen.add(label);
+            return { stopId: choice.stopId, label };
+        });
+    }
+
+    /**
+     * Text shown for one choice, e.g. "Harvard Square · Northbound · M2"
+     */
+    function getChoiceText(group, choice) {
+        return group.choices.length > 1 ? `${group.name} · ${choice.label}` : group.name;
+    }
+
+    function normalize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * How well one query word matches a name: 4 at the start, 3 at a word start,
+     * 2 anywhere, 1 for letters in order (e.g. "hvd" in "harvard"), 0 not at all
+     */
+    function scoreToken(token, text) {
+        if (text.startsWith(token)) return 4;
+        if (` ${text}`.includes(` ${token}`)) return 3;
+        if (text.includes(token)) return 2;
+
+        let matched = 0;
+        for (const char of text) {
+            if (char === token[matched]) matched++;
+            if (matched === token.length) return 1;
+        }
+        return 0;
+    }
+
+    /**
+     * Best score of a query against any of a group's names; every word must match
+     */
+    function score(query, texts) {
+        const tokens = normalize(query).split(' ').filter(Boolean);
+        if (tokens.length === 0) return 0;
+
+        let best = 0;
+        texts.forEach(text => {
+            let total = 0;
+            for (const token of tokens) {
+                const tokenScore = scoreToken(token, text);
+                if (tokenScore === 0) return;
+                total += tokenScore;
+            }
+            best = Math.max(best, total);
+        });
+        return best;
+    }
+
+    function loadRecent() {
+        try {
+            return JSON.parse(localStorage.getItem(RECENT_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    /**
+     * Recently picked stop IDs for the current system, most recent first
+     */
+    function getRecent() {
+        return loadRecent()[API.getSystem().id] || [];
+    }
+
+    function addRecent(stopId) {
+        const recent = loadRecent();
+        const systemId = API.getSystem().id;
+        recent[systemId] = [stopId, ...(recent[systemId] || []).filter(id => id !== stopId)].slice(0, MAX_RECENT);
+        try {
+            localStorage.setItem(RECENT_KEY, JSON.stringify(recent));
+        } catch (e) {
+            console.error('Error saving recent stops:', e);
+        }
+    }
+
+    /**
+     * Groups to list for a query: recent picks then everything when empty,
+     * otherwise the best matches
+     * @returns {Array} [{ group, recent, section }]
+     */
+    function search(groups, query) {
+        const recent = getRecent();
+        const recentRank = group => {
+            const ranks = group.choices.map(choice => recent.indexOf(choice.stopId)).filter(rank => rank >= 0);
+            return ranks.length > 0 ? Math.min(...ranks) : -1;
+        };
+
+        if (!normalize(query)) {
+            const recentGroups = groups
+                .filter(group => recentRank(group) >= 0)
+                .sort((a, b) => recentRank(a) - recentRank(b));
+            return [
+                ...recentGroups.map((group, i) => ({ group, recent: true, section: i === 0 ? 'Recent' : null })),
+                ...groups
+                    .filter(group => recentRank(group) < 0)
+                    .map((group, i) => ({ group, recent: false, section: i === 0 && recentGroups.length > 0 ? 'All stops' : null }))
+            ];
+        }
+
+        return groups
+            .map(group => ({ group, score: score(query, group.searchTexts), recent: recentRank(group) >= 0 }))
+            .filter(result => result.score > 0)
+            .map(result => ({ ...result, score: result.score + (result.recent ? RECENT_BONUS : 0) }))
+            .sort((a, b) => b.score - a.score || a.group.name.localeCompare(b.group.name))
+            .slice(0, MAX_RESULTS)
+            .map(result => ({ group: result.group, recent: result.recent, section: null }));
+    }
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Put a type-ahead in front of a stop <select>
+     * @returns {Object} { setGroups(groups), sync() } - sync() after setting the select's value in code
+     */
+    function attach(select) {
+        let groups = [];
+        let rows = []; // Stop IDs of the choosable rows shown, in order
+        let highlighted = -1;
+        let typed = false;
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'stop-picker';
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'stop-picker-input';
+        input.autocomplete = 'off';
+        input.spellcheck = false;
+        input.placeholder = select.options.length > 0 ? select.options[0].textContent : 'Search stops';
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-expanded', 'false');
+        const list = document.createElement('div');
+        list.className = 'stop-picker-list';
+        list.setAttribute('role', 'listbox');
+        list.hidden = true;
+
+        select.parentNode.insertBefore(wrapper, select);
+        wrapper.append(input, list, select);
+        select.classList.add('stop-picker-select');
+
+        function render() {
+            const html = [];
+            rows = [];
+
+            search(groups, typed ? input.value : '').forEach(({ group, recent, section }) => {
+                if (section) {
+                    html.push(`<div class="stop-picker-section">${section}</div>`);
+                }
+                const recentTag = recent && typed ? '<span class="stop-picker-recent">Recent</span>' : '';
+
+                if (group.choices.length === 1) {
+                    html.push(choiceRow(group.choices[0].stopId, `${escapeHtml(group.name)}${recentTag}`));
+                    return;
+                }
+                html.push(`<div class="stop-picker-group">${escapeHtml(group.name)}${recentTag}</div>`);
+                group.choices.forEach(choice => {
+                    html.push(choiceRow(choice.stopId, escapeHtml(choice.label), 'stop-picker-choice'));
+                });
+            });
+
+            if (rows.length === 0) {
+                html.push('<div class="stop-picker-empty">No matching stops</div>');
+            }
+
+            list.innerHTML = html.join('');
+            list.hidden = false;
+            input.setAttribute('aria-expanded', 'true');
+            highlight(typed && rows.length > 0 ? 0 : -1);
+        }
+
+        function choiceRow(stopId, html, className = '') {
+            rows.push(stopId);
+            const selected = stopId === select.value ? ' selected' : '';
+            return `<div class="stop-picker-option ${className}${selected}" role="option" data-stop-id="${escapeHtml(stopId)}">${html}</div>`;
+        }
+
+        function highlight(index) {
+            highlighted = index;
+            list.querySelectorAll('.stop-picker-option').forEach((row, i) => {
+                row.classList.toggle('highlighted', i === index);
+                if (i === index) {
+                    row.scrollIntoView({ block: 'nearest' });
+                }
+            });
+        }
+
+        function close() {
+            list.hidden = true;
+            input.setAttribute('aria-expanded', 'false');
+            highlighted = -1;
+        }
+
+        function choose(stopId) {
+            typed = false;
+            addRecent(stopId);
+            if (select.value !== stopId) {
+                select.value = stopId;
+                select.dispatchEvent(new Event('change'));
+            }
+            close();
+            input.blur();
+            sync();
+        }
+
+        /**
+         * Show the selected stop's name in the input
+         */
+        function sync() {
+            const stopId = select.value;
+            input.value = '';
+            groups.forEach(group => {
+                const choice = group.choices.find(c => c.stopId === stopId);
+                if (choice) {
+                    input.value = getChoiceText(group, choice);
+                }
+            });
+        }
+
+        input.addEventListener('focus', () => {
+            typed = false;
+            input.select();
+            render();
+        });
+
+        input.addEventListener('input', () => {
+            typed = true;
+            render();
+        });
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                if (list.hidden) {
+                    render();
+                }
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                highlight(Math.max(0, Math.min(rows.length - 1, highlighted + step)));
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                const stopId = rows[highlighted >= 0 ? highlighted : 0];
+                if (stopId && !list.hidden) {
+                    choose(stopId);
+                }
+            } else if (e.key === 'Escape') {
+                input.blur();
+            }
+        });
+
+        input.addEventListener('blur', () => {
+            close();
+            // Clearing the text clears the selection; anything else reverts to it
+            if (typed && !input.value.trim() && select.value) {
+                select.value = '';
+                select.dispatchEvent(new Event('change'));
+            }
+            typed = false;
+            sync();
+        });
+
+        // Keep focus in the input so a click isn't lost to blur
+        list.addEventListener('mousedown', (e) => e.preventDefault());
+        list.addEventListener('click', (e) => {
+            const row = e.target.closest('.stop-picker-option');
+            if (row) {
+                choose(row.dataset.stopId);
+            }
+        });
+
+        return {
+            setGroups(newGroups) {
+                groups = newGroups;
+                sync();
+            },
+            sync
+        };
+    }
+
+    // Public API
+    return {
+        group,
+        getChoiceText,
+        score,
+        search,
+        attach
+    };
+})();
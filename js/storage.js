@@ -1,24 +1,193 @@
 /**
  * Storage module for managing localStorage preferences
+ * Settings carry a schema version. Older settings are upgraded by the
+ * migrations below and every load is checked against the schema, so a stored
+ * or imported value of the wrong shape falls back to its default.
+ * Every change is announced to onChange listeners, which apply it in place, and
+ * the last change can be undone.
  */
 const Storage = (function() {
     const STORAGE_KEY = 'lma_bus_tracker_settings';
+    const SCHEMA_VERSION = 2;
+    const EXPORT_APP = 'lma-bus-tracker';
 
     const defaults = {
-        selectedRoutes: [], // Empty means all routes
-        defaultSource: '',
-        defaultDest: '',
+        version: SCHEMA_VERSION,
+        system: null, // { id, name } of the chosen transit system; null means Config.defaultSystem
+        systemSettings: {}, // Per-system settings keyed by system ID
+        alertMinutes: 3, // Notify when a watched bus is this many minutes away
+        hideFullBuses: false, // Leave full buses out of arrivals and trips
+        leaveAlerts: false, // Notify when it's time to walk to the stop
         lastUpdated: null
     };
 
+    const systemDefaults = {
+        selectedRoutes: [], // Empty means all routes
+        favorites: [], // Named trips, see Favorites
+        stopNames: {} // The user's own names for stops, by stop ID
+    };
+
+    // Checks for each setting; values that fail are replaced by their default
+    const schema = {
+        version: value => Number.isInteger(value),
+        system: value => value === null || (isObject(value) && typeof value.id === 'string' && typeof value.name === 'string'),
+        systemSettings: isObject,
+        alertMinutes: value => Number.isInteger(value) && value > 0 && value <= 60,
+        hideFullBuses: value => typeof value === 'boolean',
+        leaveAlerts: value => typeof value === 'boolean',
+        lastUpdated: value => value === null || typeof value === 'number'
+    };
+
+    // Settings compared for each system when announcing changes
+    const SYSTEM_KEYS = ['selectedRoutes', 'favorites', 'stopNames'];
+
+    const listeners = [];
+    let undoSnapshot = null; // Settings before the last change
+    let batch = null; // { previous } while a batch of changes is saved
+
+    const systemSchema = {
+        selectedRoutes: value => Array.isArray(value) && value.every(id => typeof id === 'string'),
+        favorites: value => Array.isArray(value),
+        stopNames: value => isObject(value) && Object.values(value).every(name => typeof name === 'string' && name.trim() !== '')
+    };
+
+    /**
+     * Upgrades from the previous schema version, keyed by the version they produce
+     * Settings saved before versioning count as version 0.
+     */
+    const migrations = {
+        // Route filters and the default trip moved under the default system when
+        // multi-system support arrived
+        1: settings => {
+            const { selectedRoutes, defaultSource, defaultDest, ...rest } = settings;
+            const systemSettings = { ...rest.systemSettings };
+            const defaultId = String(Config.defaultSystem);
+
+            if (!systemSettings[defaultId] && (selectedRoutes || defaultSource)) {
+                systemSettings[defaultId] = {
+                    selectedRoutes: selectedRoutes || [],
+                    defaultSource: defaultSource || '',
+                    defaultDest: defaultDest || ''
+                };
+            }
+            return { ...rest, systemSettings };
+        },
+
+        // The single default trip became a list of named favorites
+        2: settings => {
+            const systemSettings = {};
+            Object.entries(settings.systemSettings || {}).forEach(([id, values]) => {
+                const { defaultSource, defaultDest, ...rest } = values || {};
+                const favorites = Array.isArray(rest.favorites) ? rest.favorites : [];
+
+                if (favorites.length === 0 && defaultSource) {
+                    favorites.push(Favorites.create({
+                        id: 'default',
+                        name: 'Default',
+                        source: defaultSource,
+                        dest: defaultDest || ''
+                    }));
+                }
+                systemSettings[id] = { ...rest, favorites };
+            });
+            return { ...settings, systemSettings };
+        }
+    };
+
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Bring settings of any older version up to the current schema
+     */
+    function migrate(settings) {
+        let migrated = { ...settings };
+        for (let version = (settings.version || 0) + 1; version <= SCHEMA_VERSION; version++) {
+            migrated = migrations[version](migrated);
+            console.log(`Settings migrated to version ${version}`);
+        }
+        migrated.version = SCHEMA_VERSION;
+        return migrated;
+    }
+
+    function isValidFavorite(favorite) {
+        const isTime = time => time === '' || /^\d{2}:\d{2}$/.test(time);
+        return isObject(favorite) &&
+            typeof favorite.id === 'string' &&
+            typeof favorite.name === 'string' &&
+            typeof favorite.source === 'string' && favorite.source !== '' &&
+            typeof favorite.dest === 'string' &&
+            Array.isArray(favorite.days) && favorite.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6) &&
+            isTime(favorite.start) && isTime(favorite.end);
+    }
+
+    /**
+     * Check settings against the schema
+     * Unknown keys are dropped and invalid values replaced by their defaults.
+     * @returns {Object} { settings, errors } with a message for each replaced value
+     */
+    function validate(settings) {
+        const errors = [];
+        const valid = { ...defaults };
+
+        Object.entries(schema).forEach(([key, check]) => {
+            if (!(key in settings)) return;
+            if (check(settings[key])) {
+                valid[key] = settings[key];
+            } else {
+                errors.push(`${key} is invalid`);
+            }
+        });
+
+        const systemSettings = {};
+        Object.entries(valid.systemSettings).forEach(([id, values]) => {
+            if (!isObject(values)) {
+                errors.push(`systemSettings.${id} is invalid`);
+                return;
+            }
+
+            const checked = { ...systemDefaults };
+            Object.entries(systemSchema).forEach(([key, check]) => {
+                if (!(key in values)) return;
+                if (check(values[key])) {
+                    checked[key] = values[key];
+                } else {
+                    errors.push(`systemSettings.${id}.${key} is invalid`);
+                }
+            });
+
+            checked.favorites = checked.favorites.filter((favorite, index) => {
+                if (isValidFavorite(favorite)) return true;
+                errors.push(`systemSettings.${id}.favorites[${index}] is invalid`);
+                return false;
+            });
+
+            systemSettings[id] = checked;
+        });
+        valid.systemSettings = systemSettings;
+
+        return { settings: valid, errors };
+    }
+
     /**
      * Get all settings from localStorage
+     * Settings that needed migrating or fixing are written back once.
      */
     function getSettings() {
         try {
             const stored = localStorage.getItem(STORAGE_KEY);
             if (stored) {
-                return { ...defaults, ...JSON.parse(stored) };
+                const parsed = JSON.parse(stored);
+                const { settings, errors } = validate(migrate(isObject(parsed) ? parsed : {}));
+
+                if (errors.length > 0) {
+                    console.warn('Invalid settings replaced with defaults:', errors);
+                }
+                if (errors.length > 0 || parsed.version !== SCHEMA_VERSION) {
+                    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+                }
+                return settings;
             }
         } catch (e) {
             console.error('Failed to load settings:', e);
@@ -31,13 +200,15 @@ const Storage = (function() {
      */
     function saveSettings(settings) {
         try {
+            const previous = getSettings();
             const toSave = {
-                ...getSettings(),
+                ...previous,
                 ...settings,
                 lastUpdated: Date.now()
             };
             localStorage.setItem(STORAGE_KEY, JSON.stringify(toSave));
             console.log('Settings saved:', toSave);
+            changed(previous);
             return true;
         } catch (e) {
             console.error('Failed to save settings:', e);
@@ -45,46 +216,186 @@ const Storage = (function() {
         }
     }
 
+    /**
+     * Get the chosen transit system as { id, name }, or null for the default
+     */
+    function getSystem() {
+        return getSettings().system;
+    }
+
+    /**
+     * Get the ID of the chosen transit system
+     */
+    function getSystemId() {
+        const system = getSystem();
+        return system ? String(system.id) : String(Config.defaultSystem);
+    }
+
+    /**
+     * Set the chosen transit system
+     */
+    function setSystem(system) {
+        return saveSettings({ system: { id: String(system.id), name: system.name } });
+    }
+
+    /**
+     * Get settings for the current system
+     */
+    function getSystemSettings() {
+        const stored = getSettings().systemSettings[getSystemId()];
+        return { ...systemDefaults, ...stored };
+    }
+
+    /**
+     * Save settings for the current system
+     */
+    function saveSystemSettings(values) {
+        const systemSettings = { ...getSettings().systemSettings };
+        systemSettings[getSystemId()] = { ...getSystemSettings(), ...values };
+        return saveSettings({ systemSettings });
+    }
+
     /**
      * Get selected routes filter
      */
     function getSelectedRoutes() {
-        return getSettings().selectedRoutes || [];
+        return getSystemSettings().selectedRoutes || [];
     }
 
     /**
      * Set selected routes filter
      */
     function setSelectedRoutes(routeIds) {
-        return saveSettings({ selectedRoutes: routeIds });
+        return saveSystemSettings({ selectedRoutes: routeIds });
+    }
+
+    /**
+     * Get favorite trips
+     */
+    function getFavorites() {
+        return getSystemSettings().favorites;
+    }
+
+    /**
+     * Set favorite trips
+     */
+    function setFavorites(favorites) {
+        return saveSystemSettings({ favorites });
     }
 
     /**
-     * Get default source stop
+     * Get the user's stop names by stop ID
      */
-    function getDefaultSource() {
-        return getSettings().defaultSource || '';
+    function getStopNames() {
+        return getSystemSettings().stopNames;
     }
 
     /**
-     * Set default source stop
+     * Set the user's stop names by stop ID
      */
-    function setDefaultSource(stopId) {
-        return saveSettings({ defaultSource: stopId });
+    function setStopNames(stopNames) {
+        return saveSystemSettings({ stopNames });
     }
 
     /**
-     * Get default destination stop
+     * Get how many minutes ahead arrival alerts fire
      */
-    function getDefaultDest() {
-        return getSettings().defaultDest || '';
+    function getAlertMinutes() {
+        return getSettings().alertMinutes;
     }
 
     /**
-     * Set default destination stop
+     * Set how many minutes ahead arrival alerts fire
      */
-    function setDefaultDest(stopId) {
-        return saveSettings({ defaultDest: stopId });
+    function setAlertMinutes(minutes) {
+        return saveSettings({ alertMinutes: minutes });
+    }
+
+    /**
+     * Get whether full buses are left out of arrivals
+     */
+    function getHideFullBuses() {
+        return getSettings().hideFullBuses;
+    }
+
+    /**
+     * Set whether full buses are left out of arrivals
+     */
+    function setHideFullBuses(hide) {
+        return saveSettings({ hideFullBuses: hide });
+    }
+
+    /**
+     * Get whether to notify when it's time to leave for the stop
+     */
+    function getLeaveAlerts() {
+        return getSettings().leaveAlerts;
+    }
+
+    /**
+     * Set whether to notify when it's time to leave for the stop
+     */
+    function setLeaveAlerts(enabled) {
+        return saveSettings({ leaveAlerts: enabled });
+    }
+
+    /**
+     * Settings as a file others can import
+     */
+    function exportSettings() {
+        const { lastUpdated, ...settings } = getSettings();
+        return {
+            app: EXPORT_APP,
+            version: SCHEMA_VERSION,
+            exportedAt: Date.now(),
+            settings
+        };
+    }
+
+    /**
+     * Replace all settings with exported ones
+     * Exports from older versions are migrated first.
+     * @param {Object} data - Output of exportSettings
+     * @returns {Object} The imported settings
+     * @throws {Error} If the data isn't valid settings for this version of the app
+     */
+    function importSettings(data) {
+        if (!isObject(data) || data.app !== EXPORT_APP || !isObject(data.settings)) {
+            throw new Error('Not a bus tracker settings file');
+        }
+        if (!Number.isInteger(data.version) || data.version > SCHEMA_VERSION) {
+            throw new Error('Settings are from a newer version of the app');
+        }
+
+        const { settings, errors } = validate(migrate({ ...data.settings, version: data.version }));
+        if (errors.length > 0) {
+            throw new Error(`Invalid settings: ${errors.join(', ')}`);
+        }
+
+        const previous = getSettings();
+        settings.lastUpdated = Date.now();
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+        console.log('Settings imported:', settings);
+        changed(previous);
+        return settings;
+    }
+
+    /**
+     * Exported settings as a URL-safe string, for ?settings= links
+     */
+    function encodeSettings() {
+        const bytes = new TextEncoder().encode(JSON.stringify(exportSettings()));
+        const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Read exported settings back from encodeSettings
+     */
+    function decodeSettings(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        return JSON.parse(new TextDecoder().decode(bytes));
     }
 
     /**
@@ -92,8 +403,10 @@ const Storage = (function() {
      */
     function clearSettings() {
         try {
+            const previous = getSettings();
             localStorage.removeItem(STORAGE_KEY);
             console.log('Settings cleared');
+            changed(previous);
             return true;
         } catch (e) {
             console.error('Failed to clear settings:', e);
@@ -101,6 +414,92 @@ const Storage = (function() {
         }
     }
 
+    /**
+     * Save several settings as one change: listeners hear about it once and
+     * undo reverts all of it
+     */
+    function saveBatch(callback) {
+        batch = { previous: null };
+        try {
+            callback();
+        } finally {
+            const { previous } = batch;
+            batch = null;
+            if (previous) {
+                changed(previous);
+            }
+        }
+    }
+
+    /**
+     * Put back the settings from before the last change
+     * @returns {boolean} Whether there was a change to undo
+     */
+    function undo() {
+        if (!undoSnapshot) return false;
+
+        const previous = getSettings();
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(undoSnapshot));
+        undoSnapshot = null;
+        console.log('Settings change undone');
+        announce(previous);
+        return true;
+    }
+
+    function canUndo() {
+        return undoSnapshot !== null;
+    }
+
+    /**
+     * Listen for settings changes
+     * Callbacks get the names of the changed settings, e.g. ['selectedRoutes'].
+     * Route filters, favorites and stop names are compared for the system chosen in each version.
+     */
+    function onChange(callback) {
+        listeners.push(callback);
+    }
+
+    function changed(previous) {
+        if (batch) {
+            batch.previous = batch.previous || previous;
+            return;
+        }
+        // Only a save that changed something can be undone
+        undoSnapshot = announce(previous) ? previous : null;
+    }
+
+    /**
+     * Tell listeners what differs from the previous settings
+     * @returns {boolean} Whether anything changed
+     */
+    function announce(previous) {
+        const current = getSettings();
+        const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+        const systemId = settings => (settings.system ? settings.system.id : String(Config.defaultSystem));
+        const systemValues = settings => ({ ...systemDefaults, ...settings.systemSettings[systemId(settings)] });
+
+        const changes = Object.keys(defaults)
+            .filter(key => !['version', 'system', 'systemSettings', 'lastUpdated'].includes(key))
+            .filter(key => !same(previous[key], current[key]));
+
+        if (systemId(previous) !== systemId(current)) {
+            changes.push('system');
+        }
+
+        const before = systemValues(previous);
+        const after = systemValues(current);
+        SYSTEM_KEYS.forEach(key => {
+            if (!same(before[key], after[key])) {
+                changes.push(key);
+            }
+        });
+
+        if (changes.length === 0) return false;
+
+        listeners.forEach(callback => callback(changes));
+        return true;
+    }
+
     /**
      * Check if a route is selected (visible)
      * Returns true if no filter is set (show all) or if route is in selected list
@@ -118,13 +517,30 @@ const Storage = (function() {
     return {
         getSettings,
         saveSettings,
+        getSystem,
+        getSystemId,
+        setSystem,
         getSelectedRoutes,
         setSelectedRoutes,
-        getDefaultSource,
-        setDefaultSource,
-        getDefaultDest,
-        setDefaultDest,
+        getFavorites,
+        setFavorites,
+        getStopNames,
+        setStopNames,
+        getAlertMinutes,
+        setAlertMinutes,
+        getHideFullBuses,
+        setHideFullBuses,
+        getLeaveAlerts,
+        setLeaveAlerts,
+        exportSettings,
+        importSettings,
+        encodeSettings,
+        decodeSettings,
         clearSettings,
+        saveBatch,
+        undo,
+        canUndo,
+        onChange,
         isRouteVisible
     };
 })();
@@ -0,0 +1,131 @@
+/**
+ * Timetable module: scheduled departures for a stop with live predictions overlaid
+ * Schedules come from the provider (GTFS stop_times) or, for providers without
+ * one, from the system's `timetables` in Config.
+ */
+const Timetable = (function() {
+    const MATCH_WINDOW_MS = 20 * 60000; // Furthest a prediction can be from the trip it's matched to
+    const ON_TIME_MINUTES = 1; // Within this many minutes counts as on time
+
+    const cache = new Map(); // 'systemId|stopId|date' -> Promise of departures
+
+    /**
+     * Scheduled departures from a stop on a day, cached per day
+     * @param {Object} stop - Stop
+     * @param {Date} date - Any time on the service day
+     * @param {Array} stopRoutes - Every route serving the stop
+     * @returns {Promise<Array>} [{ routeId, time }] sorted by time (ms)
+     */
+    function getDepartures(stop, date, stopRoutes = []) {
+        const key = `${API.getSystem().id}|${stop.id}|${date.toDateString()}`;
+        if (!cache.has(key)) {
+            const departures = loadDepartures(stop, date, stopRoutes).catch(error => {
+                cache.delete(key);
+                throw error;
+            });
+            cache.set(key, departures);
+        }
+        return cache.get(key);
+    }
+
+    async function loadDepartures(stop, date, stopRoutes) {
+        const scheduled = await API.getStopSchedule(stop.id, date);
+        if (scheduled.length > 0) {
+            return scheduled;
+        }
+        return getConfiguredDepartures(stop, date, stopRoutes);
+    }
+
+    /**
+     * Departures from the system's published timetables in Config, for each route serving the stop
+     */
+    function getConfiguredDepartures(stop, date, stopRoutes) {
+        const timetables = API.getSystem().timetables || {};
+        const dayType = Service.getDayType(date);
+        const departures = [];
+
+        stopRoutes.forEach(route => {
+            const stopTimes = timetables[route.shortName] || timetables[route.name] || timetables[String(route.id)];
+            if (!stopTimes) return;
+
+            const times = stopTimes[stop.originalName] || stopTimes[stop.name] || stopTimes[String(stop.id)];
+            ((times && times[dayType]) || []).forEach(time => {
+                const [hours, minutes] = time.split(':').map(Number);
+                const departure = new Date(date);
+                departure.setHours(hours, minutes || 0, 0, 0);
+                departures.push({ routeId: route.id, time: departure.getTime() });
+            });
+        });
+
+        return departures.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Overlay live arrivals on the schedule
+     * Each prediction is matched to the closest unmatched trip on its route, or to
+     * the trip with its scheduled time when the provider reports one.
+     * @returns {Array} Departures with { predicted, delta } added (delta in minutes, late is positive)
+     */
+    function overlay(departures, arrivals, now) {
+        const rows = departures.map(departure => ({ ...departure, predicted: null, delta: null }));
+
+        arrivals.forEach(arrival => {
+            const predicted = now + arrival.eta * 60000;
+            const scheduled = getScheduledTime(arrival);
+
+            let best = null;
+            rows.forEach(row => {
+                if (row.predicted !== null || String(row.routeId) !== String(arrival.routeId)) return;
+                const gap = Math.abs((scheduled || predicted) - row.time);
+                if (gap <= MATCH_WINDOW_MS && (!best || gap < best.gap)) {
+                    best = { row, gap };
+                }
+            });
+
+            if (best) {
+                best.row.predicted = predicted;
+                best.row.busName = arrival.busName;
+                best.row.delta = Math.round((predicted - best.row.time) / 60000);
+            }
+        });
+
+        return rows;
+    }
+
+    /**
+     * Scheduled time reported with a prediction, in ms, if any
+     */
+    function getScheduledTime(arrival) {
+        if (!arrival.scheduledTime) return null;
+        const time = new Date(arrival.scheduledTime).getTime();
+        return isNaN(time) ? null : time;
+    }
+
+    /**
+     * "On time", "3 min late" or "2 min early"
+     */
+    function describeDelta(delta) {
+        if (delta === null) return '';
+        if (Math.abs(delta) <= ON_TIME_MINUTES) return 'On time';
+        return delta > 0 ? `${delta} min late` : `${-delta} min early`;
+    }
+
+    /**
+     * Next scheduled departure on any of some routes
+     */
+    function getNext(departures, routeIds, now) {
+        const routeSet = new Set(routeIds.map(String));
+        return departures.find(departure =>
+            departure.time >= now && (routeSet.size === 0 || routeSet.has(String(departure.routeId)))
+        ) || null;
+    }
+
+    // Public API
+    return {
+        getDepartures,
+        overlay,
+        getScheduledTime,
+        describeDelta,
+        getNext
+    };
+})();
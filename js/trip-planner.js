@@ -0,0 +1,255 @@
+/**
+ * Trip planner module for finding buses between a source and destination stop
+ */
+const TripPlanner = (function() {
+    const DEFAULT_SPEED_KMH = 20;
+    const MIN_RIDE_KM = 0.05; // Shorter rides mean source and destination are the same place
+    const MIN_TRANSFER_MINUTES = 2; // Time allowed to change buses
+    const BUSES_PER_ROUTE = 2; // Upcoming buses to consider on each direct route
+    const MAX_OPTIONS = 6;
+
+    // Stop positions along each route, rebuilt when routes or stops change
+    let indexedRoutes = null;
+    let indexedStops = null;
+    let routeStopIndex = new Map();
+
+    /**
+     * Index which stop names each route passes and where along the route
+     * @returns {Map} routeId -> Map(stop name -> [{ stop, along }])
+     */
+    function getIndex(stops, routes) {
+        if (indexedRoutes === routes && indexedStops === stops) {
+            return routeStopIndex;
+        }
+
+        routeStopIndex = new Map();
+        routes.forEach(route => {
+            const byName = new Map();
+            stops.forEach(stop => {
+                const along = API.getStopPosition(stop, route);
+                if (along === null) return;
+                if (!byName.has(stop.name)) {
+                    byName.set(stop.name, []);
+                }
+                byName.get(stop.name).push({ stop, along });
+            });
+            routeStopIndex.set(String(route.id), byName);
+        });
+
+        indexedRoutes = routes;
+        indexedStops = stops;
+        return routeStopIndex;
+    }
+
+    /**
+     * Shortest forward ride on a route between two named stops
+     * Stops sharing a name (e.g. both sides of the street) are all tried.
+     */
+    function findRide(route, byName, fromName, toName) {
+        const fromStops = byName.get(fromName);
+        const toStops = byName.get(toName);
+        if (!fromStops || !toStops) return null;
+
+        let best = null;
+        fromStops.forEach(from => {
+            toStops.forEach(to => {
+                const distance = RouteGeometry.distanceBetween(route.points, from.along, to.along);
+                if (distance === null || distance < MIN_RIDE_KM) return;
+                if (!best || distance < best.distance) {
+                    best = { from, to, distance };
+                }
+            });
+        });
+        return best;
+    }
+
+    /**
+     * Minutes to ride a distance along a route starting at a time
+     */
+    function estimateRideMinutes(route, fromAlong, distance, departAt) {
+        const seconds = SpeedModel.estimateSeconds(route, fromAlong, distance, DEFAULT_SPEED_KMH, departAt);
+        return Math.max(1, Math.round(seconds / 60));
+    }
+
+    /**
+     * Upcoming buses on a route at a stop, preferring API predictions for the source stop
+     */
+    function getUpcomingBuses(stop, route, buses, routes, predictions) {
+        const computed = API.calculateETAs(buses, stop, routes, [String(route.id)]);
+        if (!predictions) return computed;
+
+        return computed
+            .map(arrival => {
+                const prediction = predictions.find(p => String(p.busId) === String(arrival.busId));
+                return prediction ? { ...arrival, eta: prediction.eta } : arrival;
+            })
+            .sort((a, b) => a.eta - b.eta);
+    }
+
+    function getRouteName(route) {
+        return route.shortName || route.name;
+    }
+
+    function makeLeg(route, bus, fromStop, toStop, departIn, rideMinutes) {
+        return {
+            routeId: route.id,
+            routeName: getRouteName(route),
+            routeColor: route.color,
+            busId: bus ? bus.busId : null,
+            busName: bus ? bus.busName : null,
+            timestamp: bus ? bus.timestamp : null,
+            fromStop,
+            toStop,
+            departIn,
+            rideMinutes
+        };
+    }
+
+    /**
+     * Plan trips from a source stop to a destination stop
+     * @param {Object} sourceStop - Departure stop
+     * @param {Object} destStop - Destination stop
+     * @param {Object} data - { stops, routes, buses, arrivals, filterRouteIds }
+     * @returns {Array} Trip options sorted by arrival time; options without a live bus come last
+     */
+    function planTrips(sourceStop, destStop, data) {
+        const { stops, routes, buses, arrivals, filterRouteIds } = data;
+        const index = getIndex(stops, routes);
+        const now = Date.now();
+
+        const candidateRoutes = routes.filter(route => {
+            if (!route.points || route.points.length < 2) return false;
+            if (filterRouteIds && filterRouteIds.length > 0) {
+                return filterRouteIds.includes(String(route.id));
+            }
+            return true;
+        });
+
+        const options = [];
+
+        // Direct routes serving both stops in the right order
+        candidateRoutes.forEach(route => {
+            const ride = findRide(route, index.get(String(route.id)), sourceStop.name, destStop.name);
+            if (!ride) return;
+
+            const upcoming = getUpcomingBuses(ride.from.stop, route, buses, routes, arrivals)
+                .slice(0, BUSES_PER_ROUTE);
+
+            if (upcoming.length === 0) {
+                const rideMinutes = estimateRideMinutes(route, ride.from.along, ride.distance, new Date(now));
+                options.push({
+                    type: 'direct',
+                    legs: [makeLeg(route, null, ride.from.stop, ride.to.stop, null, rideMinutes)],
+                    departIn: null,
+                    rideMinutes,
+                    arrivalTime: null
+                });
+                return;
+            }
+
+            upcoming.forEach(bus => {
+                const departAt = new Date(now + bus.eta * 60000);
+                const rideMinutes = estimateRideMinutes(route, ride.from.along, ride.distance, departAt);
+                options.push({
+                    type: 'direct',
+                    legs: [makeLeg(route, bus, ride.from.stop, ride.to.stop, bus.eta, rideMinutes)],
+                    departIn: bus.eta,
+                    rideMinutes,
+                    arrivalTime: new Date(departAt.getTime() + rideMinutes * 60000)
+                });
+            });
+        });
+
+        const bestDirect = options
+            .filter(o => o.arrivalTime)
+            .reduce((best, o) => (!best || o.arrivalTime < best ? o.arrivalTime : best), null);
+
+        // One transfer between routes sharing a stop, kept only if it beats every direct option
+        planTransfers(sourceStop, destStop, candidateRoutes, index, data, now).forEach(option => {
+            if (!bestDirect || option.arrivalTime < bestDirect) {
+                options.push(option);
+            }
+        });
+
+        return options
+            .sort((a, b) => {
+                if (a.arrivalTime && b.arrivalTime) return a.arrivalTime - b.arrivalTime;
+                if (a.arrivalTime) return -1;
+                if (b.arrivalTime) return 1;
+                return a.rideMinutes - b.rideMinutes;
+            })
+            .slice(0, MAX_OPTIONS);
+    }
+
+    /**
+     * Best one-transfer option for each pair of routes
+     */
+    function planTransfers(sourceStop, destStop, candidateRoutes, index, data, now) {
+        const { routes, buses, arrivals } = data;
+        const results = [];
+
+        candidateRoutes.forEach(firstRoute => {
+            const firstStops = index.get(String(firstRoute.id));
+            if (!firstStops.has(sourceStop.name)) return;
+
+            candidateRoutes.forEach(secondRoute => {
+                if (secondRoute === firstRoute) return;
+                const secondStops = index.get(String(secondRoute.id));
+                if (!secondStops.has(destStop.name)) return;
+
+                let best = null;
+
+                firstStops.forEach((_, transferName) => {
+                    if (transferName === sourceStop.name || transferName === destStop.name) return;
+                    if (!secondStops.has(transferName)) return;
+
+                    const firstRide = findRide(firstRoute, firstStops, sourceStop.name, transferName);
+                    const secondRide = findRide(secondRoute, secondStops, transferName, destStop.name);
+                    if (!firstRide || !secondRide) return;
+
+                    const firstBus = getUpcomingBuses(firstRide.from.stop, firstRoute, buses, routes, arrivals)[0];
+                    if (!firstBus) return;
+
+                    const departAt = new Date(now + firstBus.eta * 60000);
+                    const firstRideMinutes = estimateRideMinutes(firstRoute, firstRide.from.along, firstRide.distance, departAt);
+                    const transferIn = firstBus.eta + firstRideMinutes;
+
+                    // Catch the first bus on the second route that reaches the transfer stop after we do
+                    const secondBus = API.calculateETAs(buses, secondRide.from.stop, routes, [String(secondRoute.id)])
+                        .find(bus => bus.eta >= transferIn + MIN_TRANSFER_MINUTES);
+                    if (!secondBus) return;
+
+                    const secondDepartAt = new Date(now + secondBus.eta * 60000);
+                    const secondRideMinutes = estimateRideMinutes(secondRoute, secondRide.from.along, secondRide.distance, secondDepartAt);
+                    const arrivalTime = new Date(secondDepartAt.getTime() + secondRideMinutes * 60000);
+
+                    if (!best || arrivalTime < best.arrivalTime) {
+                        best = {
+                            type: 'transfer',
+                            legs: [
+                                makeLeg(firstRoute, firstBus, firstRide.from.stop, firstRide.to.stop, firstBus.eta, firstRideMinutes),
+                                makeLeg(secondRoute, secondBus, secondRide.from.stop, secondRide.to.stop, secondBus.eta, secondRideMinutes)
+                            ],
+                            transferStop: firstRide.to.stop,
+                            transferWait: secondBus.eta - transferIn,
+                            departIn: firstBus.eta,
+                            rideMinutes: firstRideMinutes + secondRideMinutes,
+                            arrivalTime
+                        };
+                    }
+                });
+
+                if (best) {
+                    results.push(best);
+                }
+            });
+        });
+
+        return results;
+    }
+
+    // Public API
+    return {
+        planTrips
+    };
+})();
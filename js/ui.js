@@ -8,7 +8,22 @@ const UI = (function() {
     let selectedSourceStop = null;
     let selectedDestStop = null;
     let selectedBus = null;
+    let busNavFromStop = false; // Whether the bus view was opened from a stop's arrivals
     let nearestStop = null;
+    let systems = [];
+    let systemName = 'Harvard Shuttle';
+    let currentArrivals = [];
+    let stopNotices = [];
+    let bannerExpanded = false;
+    let arrivalsMode = 'live'; // 'live' or 'timetable'
+    let timetableRows = [];
+    let timetableRoutes = [];
+    let timetableRouteId = ''; // Empty means all routes at the stop
+    let timetableScrolled = false;
+    let nextScheduled = null;
+    let settingsStopGroups = []; // Stops offered in the favorite editors, grouped by name
+    const stopPickers = {}; // Type-aheads over the source and destination dropdowns
+    let viewChangeCallback = null;
 
     // DOM Elements
     const elements = {};
@@ -28,6 +43,11 @@ const UI = (function() {
         elements.selectedStopName = document.getElementById('selectedStopName');
         elements.stopDistance = document.getElementById('stopDistance');
         elements.arrivalsList = document.getElementById('arrivalsList');
+        elements.arrivalsTitle = document.getElementById('arrivalsTitle');
+        elements.arrivalsTabs = document.getElementById('arrivalsTabs');
+        elements.timetableView = document.getElementById('timetableView');
+        elements.timetableRoutes = document.getElementById('timetableRoutes');
+        elements.timetableList = document.getElementById('timetableList');
         elements.backBtn = document.getElementById('backBtn');
         elements.headerTitle = document.getElementById('headerTitle');
         elements.currentTime = document.getElementById('currentTime');
@@ -39,10 +59,23 @@ const UI = (function() {
         elements.settingsPanel = document.getElementById('settingsPanel');
         elements.closeSettings = document.getElementById('closeSettings');
         elements.routeFilters = document.getElementById('routeFilters');
-        elements.defaultSource = document.getElementById('defaultSource');
-        elements.defaultDest = document.getElementById('defaultDest');
+        elements.systemSelect = document.getElementById('systemSelect');
+        elements.favoritesList = document.getElementById('favoritesList');
+        elements.addFavoriteBtn = document.getElementById('addFavoriteBtn');
+        elements.stopNamesFilter = document.getElementById('stopNamesFilter');
+        elements.stopNamesList = document.getElementById('stopNamesList');
+        elements.favoriteChips = document.getElementById('favoriteChips');
+        elements.nearMe = document.getElementById('nearMe');
+        elements.nearMeList = document.getElementById('nearMeList');
+        elements.alertMinutes = document.getElementById('alertMinutes');
+        elements.hideFullBuses = document.getElementById('hideFullBuses');
+        elements.leaveAlerts = document.getElementById('leaveAlerts');
         elements.saveSettingsBtn = document.getElementById('saveSettingsBtn');
         elements.clearSettingsBtn = document.getElementById('clearSettingsBtn');
+        elements.exportSettingsBtn = document.getElementById('exportSettingsBtn');
+        elements.importSettingsBtn = document.getElementById('importSettingsBtn');
+        elements.importSettingsInput = document.getElementById('importSettingsInput');
+        elements.shareSettingsBtn = document.getElementById('shareSettingsBtn');
         elements.activeFilters = document.getElementById('activeFilters');
         elements.filterTags = document.getElementById('filterTags');
         elements.setupPrompt = document.getElementById('setupPrompt');
@@ -51,13 +84,30 @@ const UI = (function() {
         elements.refreshBtn = document.getElementById('refreshBtn');
         elements.busNavBadge = document.getElementById('busNavBadge');
         elements.busNavTitle = document.getElementById('busNavTitle');
+        elements.busNavCrowding = document.getElementById('busNavCrowding');
+        elements.occupancyHistory = document.getElementById('occupancyHistory');
+        elements.occupancyChart = document.getElementById('occupancyChart');
         elements.nearestStopName = document.getElementById('nearestStopName');
         elements.nearestStopDistance = document.getElementById('nearestStopDistance');
         elements.navigateToStopBtn = document.getElementById('navigateToStopBtn');
         elements.backToMainBtn = document.getElementById('backToMainBtn');
+        elements.followBusBtn = document.getElementById('followBusBtn');
+        elements.upcomingStops = document.getElementById('upcomingStops');
+        elements.upcomingStopsList = document.getElementById('upcomingStopsList');
+        elements.serviceBanner = document.getElementById('serviceBanner');
+        elements.serviceNotices = document.getElementById('serviceNotices');
+        elements.offlineBanner = document.getElementById('offlineBanner');
+        elements.connectionStatus = document.getElementById('connectionStatus');
+        elements.offlineBannerText = document.getElementById('offlineBannerText');
+        elements.recordBtn = document.getElementById('recordBtn');
+        elements.recorderStatus = document.getElementById('recorderStatus');
+        elements.replayBar = document.getElementById('replayBar');
+        elements.replayLabel = document.getElementById('replayLabel');
+        elements.replaySpeeds = document.getElementById('replaySpeeds');
 
         // Setup event listeners
         setupEventListeners();
+        updateRecorderStatus();
 
         // Update time display
         updateCurrentTime();
@@ -79,6 +129,12 @@ const UI = (function() {
 
         // Back button
         elements.backBtn.addEventListener('click', () => {
+            // Step back through the views opened this visit, like the browser's back
+            if (Router.canGoBack()) {
+                history.back();
+                return;
+            }
+
             // If in bus nav view, go back to details view
             if (currentView === 'busNav') {
                 goBackToDetailsView();
@@ -95,6 +151,8 @@ const UI = (function() {
         });
 
         // Stop selection changes
+        stopPickers.source = StopPicker.attach(elements.sourceStop);
+        stopPickers.dest = StopPicker.attach(elements.destStop);
         elements.sourceStop.addEventListener('change', updateSelections);
         elements.destStop.addEventListener('change', updateSelections);
 
@@ -103,6 +161,30 @@ const UI = (function() {
         elements.closeSettings.addEventListener('click', closeSettings);
         elements.saveSettingsBtn.addEventListener('click', saveSettings);
         elements.clearSettingsBtn.addEventListener('click', clearSettings);
+        elements.addFavoriteBtn.addEventListener('click', () => {
+            elements.favoritesList.appendChild(createFavoriteEditor(Favorites.create()));
+        });
+
+        // Stop names: filter the list, and show where each name will come from as it's edited
+        elements.stopNamesFilter.addEventListener('input', filterStopNames);
+        elements.stopNamesList.addEventListener('input', (e) => {
+            const row = e.target.closest('.stop-name-row');
+            if (row) {
+                updateStopNameSource(row);
+            }
+        });
+
+        // Settings import / export
+        elements.exportSettingsBtn.addEventListener('click', exportSettingsFile);
+        elements.importSettingsBtn.addEventListener('click', () => elements.importSettingsInput.click());
+        elements.importSettingsInput.addEventListener('change', () => {
+            const file = elements.importSettingsInput.files[0];
+            elements.importSettingsInput.value = '';
+            if (file) {
+                importSettingsFile(file);
+            }
+        });
+        elements.shareSettingsBtn.addEventListener('click', showShareSettings);
 
         // Setup prompt settings link
         elements.openSettingsLink.addEventListener('click', (e) => {
@@ -113,7 +195,7 @@ const UI = (function() {
         // Refresh button
         elements.refreshBtn.addEventListener('click', () => {
             elements.refreshBtn.classList.add('spinning');
-            App.refreshBuses().then(() => {
+            Scheduler.run('buses').then(() => {
                 setTimeout(() => {
                     elements.refreshBtn.classList.remove('spinning');
                 }, 500);
@@ -143,6 +225,37 @@ const UI = (function() {
         elements.backToMainBtn.addEventListener('click', () => {
             goBackToDetailsView();
         });
+
+        elements.followBusBtn.addEventListener('click', () => {
+            if (MapManager.getFollowedBusId() !== null) {
+                stopFollowing();
+            } else if (selectedBus) {
+                App.followBus(selectedBus.id);
+            }
+        });
+
+        // Live arrivals / timetable tabs
+        elements.arrivalsTabs.querySelectorAll('.arrivals-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                setArrivalsMode(tab.dataset.mode);
+                if (arrivalsMode === 'timetable') {
+                    App.refreshTimetable();
+                }
+            });
+        });
+
+        // Keep the bells on arrival cards in sync with active alerts
+        Alerts.onChange(updateAlertButtons);
+
+        // Recording toggle
+        elements.recordBtn.addEventListener('click', () => {
+            if (Recorder.isRecording()) {
+                Recorder.stopRecording();
+                showToast('Recording saved');
+            } else {
+                Recorder.startRecording();
+            }
+        });
     }
 
     /**
@@ -155,6 +268,10 @@ const UI = (function() {
         selectedSourceStop = stops.find(s => String(s.id) === String(sourceId)) || null;
         selectedDestStop = stops.find(s => String(s.id) === String(destId)) || null;
 
+        // Values set in code don't reach the pickers
+        stopPickers.source.sync();
+        stopPickers.dest.sync();
+
         // Update map highlights
         MapManager.selectStop(sourceId);
         MapManager.selectDestination(destId);
@@ -170,22 +287,40 @@ const UI = (function() {
         stops = stopsData;
         routes = routesData;
 
-        // Check if user has configured defaults
-        const hasDefaults = Storage.getDefaultSource() || Storage.getSelectedRoutes().length > 0;
-
-        // Show setup prompt or quick actions
-        if (hasDefaults) {
-            elements.setupPrompt.style.display = 'none';
-            elements.quickActions.style.display = 'block';
-        } else {
-            elements.setupPrompt.style.display = 'block';
-            elements.quickActions.style.display = 'none';
-            // Auto-open settings for first-time users (with small delay)
+        // Auto-open settings for first-time users (with small delay), unless they followed a link
+        if (!updateSetupPrompt() && !Router.getState().source) {
             setTimeout(() => {
                 openSettings();
             }, 500);
         }
 
+        fillStopOptions();
+
+        // Apply the current favorite (with small delay to ensure options are rendered)
+        setTimeout(() => {
+            applyFavorite(Favorites.pick(Storage.getFavorites(), new Date()));
+        }, 0);
+
+        updateFilterDisplay();
+        updateFavoriteChips();
+    }
+
+    /**
+     * Show the setup prompt, or quick actions once favorites or filters are set
+     * @returns {boolean} Whether the user has configured anything
+     */
+    function updateSetupPrompt() {
+        const hasDefaults = Storage.getFavorites().length > 0 || Storage.getSelectedRoutes().length > 0;
+
+        elements.setupPrompt.style.display = hasDefaults ? 'none' : 'block';
+        elements.quickActions.style.display = hasDefaults ? 'block' : 'none';
+        return hasDefaults;
+    }
+
+    /**
+     * Fill the stop dropdowns with stops on the selected routes
+     */
+    function fillStopOptions() {
         // Get selected routes from storage
         const selectedRoutes = Storage.getSelectedRoutes();
 
@@ -201,61 +336,121 @@ const UI = (function() {
             }
         }
 
-        // Deduplicate stops by NAME (not ID) to avoid showing duplicates like "HMS (Vanderbilt)" 5 times
-        // Keep one representative stop per unique name
-        const uniqueStopsMap = new Map();
-        filteredStops.forEach(stop => {
-            if (!uniqueStopsMap.has(stop.name)) {
-                uniqueStopsMap.set(stop.name, stop);
-            }
-        });
-
-        // Convert to array and sort alphabetically
-        const uniqueStops = Array.from(uniqueStopsMap.values())
-            .sort((a, b) => a.name.localeCompare(b.name));
+        // One option per physical stop; stops sharing a name are told apart by direction
+        const groups = StopPicker.group(filteredStops, routes);
 
-        console.log('Populating dropdowns with', uniqueStops.length, 'stops');
+        console.log('Populating dropdowns with', groups.length, 'stop names');
 
         // Clear existing options
         elements.sourceStop.innerHTML = '<option value="">Select departure stop</option>';
         elements.destStop.innerHTML = '<option value="">Select destination stop</option>';
 
         // Add stop options
-        uniqueStops.forEach(stop => {
-            const option1 = document.createElement('option');
-            option1.value = stop.id;
-            option1.textContent = stop.name;
-            elements.sourceStop.appendChild(option1);
-
-            const option2 = document.createElement('option');
-            option2.value = stop.id;
-            option2.textContent = stop.name;
-            elements.destStop.appendChild(option2);
+        groups.forEach(group => {
+            group.choices.forEach(choice => {
+                const option1 = document.createElement('option');
+                option1.value = choice.stopId;
+                option1.textContent = StopPicker.getChoiceText(group, choice);
+                elements.sourceStop.appendChild(option1);
+
+                const option2 = document.createElement('option');
+                option2.value = choice.stopId;
+                option2.textContent = StopPicker.getChoiceText(group, choice);
+                elements.destStop.appendChild(option2);
+            });
         });
 
-        // Apply saved defaults (with small delay to ensure options are rendered)
-        setTimeout(() => {
-            const defaultSource = Storage.getDefaultSource();
-            const defaultDest = Storage.getDefaultDest();
-
-            if (defaultSource) {
-                // Check if the option exists in the dropdown
-                const sourceOption = elements.sourceStop.querySelector(`option[value="${defaultSource}"]`);
-                if (sourceOption) {
-                    elements.sourceStop.value = defaultSource;
-                }
+        stopPickers.source.setGroups(groups);
+        stopPickers.dest.setGroups(groups);
+    }
+
+    /**
+     * Update the stop pickers, filter tags, favorite chips and header after a
+     * settings change, keeping the current selection where it still exists
+     * @param {Array} changes - Names of the changed settings
+     */
+    function applySettings(changes) {
+        if (changes.includes('selectedRoutes') || changes.includes('stopNames')) {
+            const source = elements.sourceStop.value;
+            const dest = elements.destStop.value;
+            fillStopOptions();
+            if (elements.sourceStop.querySelector(`option[value="${source}"]`)) {
+                elements.sourceStop.value = source;
             }
-            if (defaultDest) {
-                const destOption = elements.destStop.querySelector(`option[value="${defaultDest}"]`);
-                if (destOption) {
-                    elements.destStop.value = defaultDest;
-                }
+            if (elements.destStop.querySelector(`option[value="${dest}"]`)) {
+                elements.destStop.value = dest;
             }
+            if (currentView === 'selection') {
+                updateSelections();
+            }
+        }
 
-            updateSelections();
-        }, 0);
-
+        updateSetupPrompt();
         updateFilterDisplay();
+        updateFavoriteChips();
+
+        if (currentView === 'details' && selectedSourceStop) {
+            updateDetailsHeader(selectedSourceStop, selectedDestStop);
+            updateStopTitle(selectedSourceStop, selectedDestStop);
+        }
+    }
+
+    /**
+     * Put a favorite's stops in the dropdowns
+     */
+    function applyFavorite(favorite) {
+        if (favorite) {
+            // Check if the options exist in the dropdowns
+            if (elements.sourceStop.querySelector(`option[value="${favorite.source}"]`)) {
+                elements.sourceStop.value = favorite.source;
+            }
+            if (favorite.dest && elements.destStop.querySelector(`option[value="${favorite.dest}"]`)) {
+                elements.destStop.value = favorite.dest;
+            }
+        }
+        updateSelections();
+    }
+
+    /**
+     * Quick switching chips for favorite trips, with the current one highlighted
+     */
+    function updateFavoriteChips() {
+        const favorites = Storage.getFavorites()
+            .filter(favorite => stops.some(s => String(s.id) === String(favorite.source)));
+
+        if (favorites.length === 0) {
+            elements.favoriteChips.style.display = 'none';
+            return;
+        }
+
+        const current = Favorites.pick(favorites, new Date());
+        elements.favoriteChips.innerHTML = favorites.map(favorite => `
+            <button class="favorite-chip ${favorite === current ? 'active' : ''}" data-id="${favorite.id}"
+                    title="${escapeHtml(Favorites.describeRules(favorite))}">
+                ★ ${escapeHtml(getFavoriteName(favorite))}
+            </button>
+        `).join('');
+        elements.favoriteChips.style.display = 'flex';
+
+        elements.favoriteChips.querySelectorAll('.favorite-chip').forEach(chip => {
+            chip.addEventListener('click', () => {
+                const favorite = favorites.find(f => f.id === chip.dataset.id);
+                elements.sourceStop.value = favorite.source;
+                elements.destStop.value = favorite.dest || '';
+                updateSelections();
+                elements.searchBtn.click();
+            });
+        });
+    }
+
+    /**
+     * A favorite's name, or its stops if it has none
+     */
+    function getFavoriteName(favorite) {
+        if (favorite.name) return favorite.name;
+        const source = stops.find(s => String(s.id) === String(favorite.source));
+        const dest = stops.find(s => String(s.id) === String(favorite.dest));
+        return [source, dest].filter(Boolean).map(stop => stop.name).join(' → ') || 'Favorite';
     }
 
     /**
@@ -293,6 +488,52 @@ const UI = (function() {
         });
     }
 
+    /**
+     * Set the handler told which view ('selection', 'details' or 'busNav') just opened
+     */
+    function onViewChange(callback) {
+        viewChangeCallback = callback;
+    }
+
+    /**
+     * Set system picker handler
+     */
+    function onSystemChange(callback) {
+        elements.systemSelect.addEventListener('change', () => {
+            const system = systems.find(s => String(s.id) === elements.systemSelect.value);
+            if (system) {
+                closeSettings();
+                callback(system);
+            }
+        });
+    }
+
+    /**
+     * Show the current transit system in the header
+     */
+    function setSystem(system) {
+        systemName = system.name;
+        if (currentView === 'selection') {
+            document.getElementById('headerSubtitle').textContent = systemName;
+        }
+    }
+
+    /**
+     * Populate the system picker
+     */
+    function populateSystems(systemsData, currentId) {
+        systems = systemsData;
+
+        elements.systemSelect.innerHTML = '';
+        systems.forEach(system => {
+            const option = document.createElement('option');
+            option.value = system.id;
+            option.textContent = system.name;
+            elements.systemSelect.appendChild(option);
+        });
+        elements.systemSelect.value = String(currentId);
+    }
+
     /**
      * Set my location button handler
      */
@@ -309,22 +550,16 @@ const UI = (function() {
         let destStop = selectedDestStop;
 
         if (!sourceStop) {
-            const defaultSourceId = Storage.getDefaultSource();
-            if (defaultSourceId) {
-                sourceStop = stops.find(s => String(s.id) === String(defaultSourceId));
-            }
-        }
-
-        if (!destStop) {
-            const defaultDestId = Storage.getDefaultDest();
-            if (defaultDestId) {
-                destStop = stops.find(s => String(s.id) === String(defaultDestId));
+            const favorite = Favorites.pick(Storage.getFavorites(), new Date());
+            if (favorite) {
+                sourceStop = stops.find(s => String(s.id) === String(favorite.source));
+                destStop = destStop || stops.find(s => String(s.id) === String(favorite.dest)) || null;
             }
         }
 
         if (sourceStop) {
+            // Opening the view starts arrivals polling
             showDetailsView(sourceStop, destStop, App.getUserLocation());
-            App.refreshArrivals(sourceStop);
         } else {
             // No source stop available, go to selection view
             showSelectionView();
@@ -335,36 +570,35 @@ const UI = (function() {
      * Show the stop selection view
      */
     function showSelectionView() {
+        stopFollowing();
         currentView = 'selection';
         elements.stopSelectionView.style.display = 'block';
         elements.stopDetailsView.style.display = 'none';
         elements.busNavView.style.display = 'none';
         elements.backBtn.style.display = 'none';
         elements.headerTitle.textContent = 'LMA Bus Tracker';
-        document.getElementById('headerSubtitle').textContent = 'Harvard Shuttle';
+        document.getElementById('headerSubtitle').textContent = systemName;
         elements.bottomSheet.classList.remove('expanded');
+        updateRoute();
+        if (viewChangeCallback) {
+            viewChangeCallback(currentView);
+        }
 
         // Reset map selection highlights but keep buses visible
         MapManager.selectStop(null);
         MapManager.selectDestination(null);
         MapManager.resetView();
 
-        // Re-apply saved defaults to dropdowns
-        const defaultSource = Storage.getDefaultSource();
-        const defaultDest = Storage.getDefaultDest();
-        if (defaultSource && elements.sourceStop.querySelector(`option[value="${defaultSource}"]`)) {
-            elements.sourceStop.value = defaultSource;
-        }
-        if (defaultDest && elements.destStop.querySelector(`option[value="${defaultDest}"]`)) {
-            elements.destStop.value = defaultDest;
-        }
-        updateSelections();
+        // Re-apply the current favorite to dropdowns
+        applyFavorite(Favorites.pick(Storage.getFavorites(), new Date()));
+        updateFavoriteChips();
     }
 
     /**
      * Show the stop details view with arrivals
      */
     function showDetailsView(sourceStop, destStop, userLocation, isAutoLoad = false) {
+        stopFollowing();
         currentView = 'details';
         selectedSourceStop = sourceStop;
         selectedDestStop = destStop;
@@ -375,30 +609,8 @@ const UI = (function() {
         elements.backBtn.style.display = 'flex';
         elements.bottomSheet.classList.add('expanded');
 
-        // Update header - show route filter if active
-        const selectedRoutes = Storage.getSelectedRoutes();
-        if (selectedRoutes.length > 0 && selectedRoutes.length <= 2) {
-            const routeNames = selectedRoutes.map(rid => {
-                const route = routes.find(r => String(r.id) === String(rid));
-                return route ? (route.shortName || route.name) : '';
-            }).filter(Boolean).join(', ');
-            elements.headerTitle.textContent = routeNames;
-            document.getElementById('headerSubtitle').textContent = destStop
-                ? `${sourceStop.name} → ${destStop.name}`
-                : sourceStop.name;
-        } else if (destStop) {
-            elements.headerTitle.textContent = `${sourceStop.name}`;
-            document.getElementById('headerSubtitle').textContent = `→ ${destStop.name}`;
-        } else {
-            elements.headerTitle.textContent = sourceStop.name;
-            document.getElementById('headerSubtitle').textContent = 'Harvard Shuttle';
-        }
-
-        // Update stop info
-        elements.selectedStopName.textContent = sourceStop.name;
-        if (destStop) {
-            elements.selectedStopName.innerHTML = `${sourceStop.name} <span style="color: var(--text-secondary); font-weight: normal;">→ ${destStop.name}</span>`;
-        }
+        updateDetailsHeader(sourceStop, destStop);
+        updateStopTitle(sourceStop, destStop);
 
         // Calculate distance from user
         if (userLocation) {
@@ -407,11 +619,24 @@ const UI = (function() {
                 sourceStop.latitude, sourceStop.longitude
             );
             const distanceMiles = (distance * 0.621371).toFixed(1);
-            elements.stopDistance.textContent = `${distanceMiles} mi away`;
+            const walkMinutes = Walking.getWalkMinutes(userLocation, sourceStop);
+            elements.stopDistance.textContent = walkMinutes !== null
+                ? `${distanceMiles} mi away · ${walkMinutes} min walk`
+                : `${distanceMiles} mi away`;
         } else {
             elements.stopDistance.textContent = 'Tap 📍 for distance';
         }
 
+        // Notices and timetable for the previous stop no longer apply
+        setStopNotices([]);
+        nextScheduled = null;
+        timetableRows = [];
+        timetableRouteId = '';
+        timetableScrolled = false;
+        elements.timetableRoutes.innerHTML = '';
+        elements.timetableList.innerHTML = '';
+        setArrivalsMode(arrivalsMode);
+
         // Show loading state
         elements.arrivalsList.innerHTML = `
             <div class="loading-arrivals">
@@ -428,12 +653,52 @@ const UI = (function() {
         } else {
             MapManager.focusOnStop(sourceStop);
         }
+
+        updateRoute();
+        if (viewChangeCallback) {
+            viewChangeCallback(currentView);
+        }
+    }
+
+    /**
+     * Details view header: the filtered routes when there are one or two, otherwise the stops
+     */
+    function updateDetailsHeader(sourceStop, destStop) {
+        const selectedRoutes = App.getRouteFilter();
+        if (selectedRoutes.length > 0 && selectedRoutes.length <= 2) {
+            const routeNames = selectedRoutes.map(rid => {
+                const route = routes.find(r => String(r.id) === String(rid));
+                return route ? (route.shortName || route.name) : '';
+            }).filter(Boolean).join(', ');
+            elements.headerTitle.textContent = routeNames;
+            document.getElementById('headerSubtitle').textContent = destStop
+                ? `${sourceStop.name} → ${destStop.name}`
+                : sourceStop.name;
+        } else if (destStop) {
+            elements.headerTitle.textContent = `${sourceStop.name}`;
+            document.getElementById('headerSubtitle').textContent = `→ ${destStop.name}`;
+        } else {
+            elements.headerTitle.textContent = sourceStop.name;
+            document.getElementById('headerSubtitle').textContent = systemName;
+        }
+    }
+
+    /**
+     * Stop name, and destination if any, at the top of the arrivals
+     */
+    function updateStopTitle(sourceStop, destStop) {
+        elements.selectedStopName.textContent = sourceStop.name;
+        if (destStop) {
+            elements.selectedStopName.innerHTML = `${escapeHtml(sourceStop.name)} <span style="color: var(--text-secondary); font-weight: normal;">→ ${escapeHtml(destStop.name)}</span>`;
+        }
     }
 
     /**
      * Show bus navigation view
      */
     function showBusNavView(bus, route, nearest, userLocation) {
+        busNavFromStop = currentView === 'details' || (currentView === 'busNav' && busNavFromStop);
+        stopFollowing();
         currentView = 'busNav';
         selectedBus = bus;
         nearestStop = nearest;
@@ -450,6 +715,16 @@ const UI = (function() {
         elements.busNavBadge.style.backgroundColor = route ? route.color : '#4a90d9';
         elements.busNavTitle.textContent = bus.busName;
 
+        // How full the bus is now, and usually at this time of day
+        const crowding = Occupancy.getCrowding(bus);
+        if (crowding) {
+            elements.busNavCrowding.innerHTML = `${crowdingBadge(crowding)} ${bus.paxLoad} of ${bus.capacity} riders`;
+            elements.busNavCrowding.style.display = 'flex';
+        } else {
+            elements.busNavCrowding.style.display = 'none';
+        }
+        renderOccupancyChart(bus.routeId);
+
         // Update nearest stop info
         if (nearest && userLocation) {
             elements.nearestStopName.textContent = nearest.name;
@@ -472,30 +747,104 @@ const UI = (function() {
             MapManager.selectStop(nearest.id);
             MapManager.focusOnStop(nearest);
         }
+
+        updateRoute();
+        if (viewChangeCallback) {
+            viewChangeCallback(currentView);
+        }
+    }
+
+    /**
+     * Show whether the map is following the selected bus
+     */
+    function setFollowing(following) {
+        elements.followBusBtn.classList.toggle('active', following);
+        elements.followBusBtn.textContent = following ? 'Following · drag the map to stop' : 'Follow this bus';
+        elements.upcomingStops.style.display = following ? 'block' : 'none';
+        if (!following) {
+            elements.upcomingStopsList.innerHTML = '';
+        }
+    }
+
+    function stopFollowing() {
+        MapManager.unfollowBus();
+        setFollowing(false);
+    }
+
+    /**
+     * List the followed bus's next stops, marking the destination if it's one of them
+     * @param {Array} upcoming - [{ stop, eta, distance }] from API.getUpcomingStops
+     */
+    function updateUpcomingStops(upcoming) {
+        const now = Recorder.getReplayTime();
+
+        if (upcoming.length === 0) {
+            elements.upcomingStopsList.innerHTML = '<li class="upcoming-stop">No stops ahead on this route</li>';
+            return;
+        }
+
+        elements.upcomingStopsList.innerHTML = upcoming.map(({ stop, eta }) => {
+            const isDestination = selectedDestStop && busNavFromStop && stop.name === selectedDestStop.name;
+            return `
+                <li class="upcoming-stop ${isDestination ? 'destination' : ''}">
+                    <span class="upcoming-stop-name">${escapeHtml(stop.name)}${isDestination ? ' · get off here' : ''}</span>
+                    <span class="upcoming-stop-eta">${eta <= 0 ? 'Now' : `${eta} min`} · ${formatTime(now + eta * 60000)}</span>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Put the open view in the URL
+     */
+    function updateRoute() {
+        const withStop = currentView === 'details' || (currentView === 'busNav' && busNavFromStop);
+        Router.update({
+            source: withStop && selectedSourceStop ? selectedSourceStop.id : null,
+            dest: withStop && selectedDestStop ? selectedDestStop.id : null,
+            bus: currentView === 'busNav' && selectedBus ? selectedBus.id : null,
+            routes: App.getRouteFilter()
+        });
     }
 
     /**
      * Update arrivals list
      */
     function updateArrivals(arrivals, onBusClick) {
-        elements.refreshTime.textContent = 'Updated just now';
+        updateRefreshTime();
+        currentArrivals = arrivals || [];
 
         if (!arrivals || arrivals.length === 0) {
+            // Say when service resumes if the stop's routes aren't running
+            const schedule = stopNotices.filter(notice => notice.type === 'schedule');
+            const message = schedule.length > 0
+                ? schedule.map(notice => escapeHtml(notice.title)).join('<br>')
+                : 'No buses currently approaching this stop';
+
             elements.arrivalsList.innerHTML = `
                 <div class="no-arrivals">
                     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <circle cx="12" cy="12" r="10"/>
                         <path d="M12 6v6l4 2"/>
                     </svg>
-                    <p>No buses currently approaching this stop</p>
+                    <p>${message}</p>
+                    <p class="next-scheduled" id="nextScheduled">${formatNextScheduled()}</p>
                 </div>
             `;
             return;
         }
 
+        const walkMinutes = Walking.getWalkMinutes(App.getUserLocation(), selectedSourceStop);
+
         const html = arrivals.map(arrival => {
             const etaClass = arrival.eta <= 1 ? 'arriving' : arrival.eta <= 5 ? 'soon' : '';
-            const etaText = arrival.eta <= 0 ? 'Now' : `${arrival.eta} min`;
+            const etaText = formatEtaRange(arrival);
+
+            // Scheduled time alongside the prediction, when the feed has one
+            const scheduled = Timetable.getScheduledTime(arrival);
+            const scheduledText = scheduled
+                ? `Sched. ${formatTime(scheduled)} · ${Timetable.describeDelta(Math.round((Recorder.getReplayTime() + arrival.eta * 60000 - scheduled) / 60000))}`
+                : '';
 
             return `
                 <div class="arrival-card" data-bus-id="${arrival.busId}">
@@ -508,16 +857,36 @@ const UI = (function() {
                             ${arrival.busName}
                         </div>
                         ${arrival.distance ? `<div class="scheduled-time">${arrival.distance.toFixed(1)} km away</div>` : ''}
+                        ${scheduledText ? `<div class="scheduled-time">${scheduledText}</div>` : ''}
+                        ${walkAdvice(arrival.eta, walkMinutes)}
+                        ${arrival.crowding ? crowdingBadge(arrival.crowding) : ''}
+                        ${ageLine(arrival.timestamp)}
                     </div>
                     <div class="arrival-eta">
                         <div class="eta-label">Est.</div>
-                        <div class="eta-value ${etaClass}">${etaText}</div>
+                        <div class="eta-value ${etaClass}" title="${etaSourceText(arrival)}">${etaText}</div>
                     </div>
+                    ${arrival.busId ? `
+                        <button class="alert-btn" data-bus-id="${arrival.busId}" aria-label="Alert me">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <path d="M18 8A6 6 0 0 0 6 8c0 7-3 9-3 9h18s-3-2-3-9M13.73 21a2 2 0 0 1-3.46 0"/>
+                            </svg>
+                        </button>
+                    ` : ''}
                 </div>
             `;
         }).join('');
 
         elements.arrivalsList.innerHTML = html;
+        updateAlertButtons();
+
+        // Alert toggles
+        elements.arrivalsList.querySelectorAll('.alert-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                toggleAlert(btn.dataset.busId);
+            });
+        });
 
         // Add click handlers to arrival cards
         if (onBusClick) {
@@ -531,100 +900,767 @@ const UI = (function() {
     }
 
     /**
-     * Update current time display
+     * Fill the "Near me" panel
+     * @param {Array} nearby - [{ stop, distance, walkMinutes, arrivals }] nearest first
+     * @param {Function} onStopClick - Called with the stop when one is tapped
      */
-    function updateCurrentTime() {
-        const now = new Date();
-        elements.currentTime.textContent = now.toLocaleTimeString([], {
-            hour: 'numeric',
-            minute: '2-digit'
+    function updateNearbyStops(nearby, onStopClick) {
+        if (nearby.length === 0) {
+            elements.nearMe.style.display = 'none';
+            return;
+        }
+
+        elements.nearMeList.innerHTML = nearby.map(({ stop, distance, walkMinutes, arrivals }, index) => {
+            const distanceText = `${(distance * 0.621371).toFixed(1)} mi${walkMinutes !== null ? ` · ${walkMinutes} min walk` : ''}`;
+            const arrivalsHtml = arrivals.length > 0
+                ? arrivals.map(arrival => `
+                    <span class="near-me-arrival" style="background-color: ${arrival.routeColor || '#4a90d9'}">
+                        ${escapeHtml(arrival.routeName)} ${arrival.eta <= 0 ? 'Now' : `${arrival.eta} min`}
+                    </span>
+                `).join('')
+                : '<span class="near-me-none">No buses approaching</span>';
+
+            return `
+                <button class="near-me-stop" data-index="${index}">
+                    <div class="near-me-header">
+                        <span class="near-me-name">${escapeHtml(stop.name)}</span>
+                        <span class="near-me-distance">${distanceText}</span>
+                    </div>
+                    <div class="near-me-arrivals">${arrivalsHtml}</div>
+                </button>
+            `;
+        }).join('');
+        elements.nearMe.style.display = 'block';
+
+        elements.nearMeList.querySelectorAll('.near-me-stop').forEach(item => {
+            item.addEventListener('click', () => onStopClick(nearby[Number(item.dataset.index)].stop));
         });
     }
 
     /**
-     * Update refresh time display
+     * "Now", "5 min", or the likely range such as "4–7 min" for a blended prediction
      */
-    function updateRefreshTime() {
-        elements.refreshTime.textContent = 'Updated just now';
+    function formatEtaRange(arrival) {
+        if (arrival.eta <= 0) return 'Now';
+        if (arrival.etaLow === undefined || arrival.etaHigh <= arrival.etaLow) return `${arrival.eta} min`;
+        return `${arrival.etaLow}–${arrival.etaHigh} min`;
     }
 
     /**
-     * Open navigation to location
+     * What an arrival's prediction is based on, for its tooltip
      */
-    function openNavigation(lat, lng, name) {
-        const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent);
+    function etaSourceText(arrival) {
+        const hasApi = arrival.apiEta !== null && arrival.apiEta !== undefined;
+        const hasComputed = arrival.computedEta !== null && arrival.computedEta !== undefined;
+        if (hasApi && hasComputed) return `Live prediction ${arrival.apiEta} min, from bus position ${arrival.computedEta} min`;
+        if (hasApi) return 'Live prediction';
+        if (hasComputed) return 'From bus position';
+        return '';
+    }
 
-        if (isIOS) {
-            window.open(`maps://maps.apple.com/?daddr=${lat},${lng}&q=${encodeURIComponent(name)}`, '_blank');
-        } else {
-            window.open(`https://www.google.com/maps/dir/?api=1&destination=${lat},${lng}`, '_blank');
-        }
+    /**
+     * "Leave now", "You'll miss this one" or "Wait N min" for a bus, given the walk to the stop
+     */
+    function walkAdvice(eta, walkMinutes) {
+        const advice = Walking.classify(eta, walkMinutes);
+        return advice ? `<div class="walk-advice ${advice.id}">🚶 ${advice.label}</div>` : '';
     }
 
     /**
-     * Open settings panel
+     * Switch the details view between live arrivals and the stop's timetable
      */
-    function openSettings() {
-        elements.settingsPanel.classList.add('open');
-        populateSettingsPanel();
+    function setArrivalsMode(mode) {
+        arrivalsMode = mode;
+        const timetable = mode === 'timetable';
+
+        elements.arrivalsTabs.querySelectorAll('.arrivals-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.mode === mode);
+        });
+        elements.arrivalsList.style.display = timetable ? 'none' : '';
+        elements.timetableView.style.display = timetable ? 'block' : 'none';
+
+        if (timetable) {
+            elements.arrivalsTitle.textContent = "Today's Timetable";
+            timetableScrolled = false;
+        } else {
+            // Trips to a destination list only the buses that get there
+            elements.arrivalsTitle.textContent = selectedDestStop ? 'Trip Options' : 'Upcoming Buses';
+        }
+    }
+
+    function formatTime(time) {
+        return new Date(time).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
     }
 
     /**
-     * Close settings panel
+     * Remember the next scheduled trip, shown when no bus is live
      */
-    function closeSettings() {
-        elements.settingsPanel.classList.remove('open');
+    function setNextScheduled(departure, stopRoutes) {
+        nextScheduled = departure
+            ? { ...departure, route: stopRoutes.find(route => String(route.id) === String(departure.routeId)) }
+            : null;
+
+        const element = document.getElementById('nextScheduled');
+        if (element) {
+            element.textContent = formatNextScheduled();
+        }
+    }
+
+    function formatNextScheduled() {
+        if (!nextScheduled) return '';
+        const route = nextScheduled.route;
+        const name = route ? (route.shortName || route.name) : 'bus';
+        return `Next scheduled ${name} at ${formatTime(nextScheduled.time)}`;
     }
 
     /**
-     * Populate settings panel with routes and stops
+     * Show the day's scheduled departures with live predictions
+     * @param {Array} rows - From Timetable.overlay
+     * @param {Array} stopRoutes - Routes serving the stop, for the route chips
      */
-    function populateSettingsPanel() {
-        const selectedRoutes = Storage.getSelectedRoutes();
+    function updateTimetable(rows, stopRoutes) {
+        timetableRows = rows;
+        timetableRoutes = stopRoutes;
+        if (arrivalsMode !== 'timetable') return;
+
+        // Route chips, only worth showing for stops on more than one route
+        const routesWithTrips = stopRoutes.filter(route => rows.some(row => String(row.routeId) === String(route.id)));
+        elements.timetableRoutes.innerHTML = routesWithTrips.length > 1
+            ? [{ id: '', shortName: 'All' }, ...routesWithTrips].map(route => `
+                <button class="timetable-route ${String(route.id) === timetableRouteId ? 'active' : ''}" data-route-id="${route.id}">
+                    ${escapeHtml(route.shortName || route.name)}
+                </button>
+            `).join('')
+            : '';
+        elements.timetableRoutes.querySelectorAll('.timetable-route').forEach(chip => {
+            chip.addEventListener('click', () => {
+                timetableRouteId = chip.dataset.routeId;
+                timetableScrolled = false;
+                updateTimetable(timetableRows, timetableRoutes);
+            });
+        });
 
-        // Populate route filters
-        const routeFiltersHtml = routes.map(route => {
-            const isChecked = selectedRoutes.length === 0 || selectedRoutes.includes(String(route.id));
-            return `
-                <label class="route-filter-item">
-                    <input type="checkbox" value="${route.id}" ${isChecked ? 'checked' : ''}>
-                    <div class="route-filter-color" style="background-color: ${route.color}"></div>
-                    <span class="route-filter-name">${route.shortName || route.name}</span>
-                </label>
+        const shown = rows.filter(row => !timetableRouteId || String(row.routeId) === timetableRouteId);
+        if (shown.length === 0) {
+            elements.timetableList.innerHTML = `
+                <div class="no-arrivals">
+                    <p>No published timetable for this stop today</p>
+                </div>
             `;
-        }).join('');
+            return;
+        }
 
-        elements.routeFilters.innerHTML = routeFiltersHtml;
+        const now = Recorder.getReplayTime();
+        const nextIndex = shown.findIndex(row => (row.predicted || row.time) >= now);
 
-        // Populate default stops (all stops, deduplicated by name)
-        const uniqueStopsMap = new Map();
-        stops.forEach(stop => {
-            if (!uniqueStopsMap.has(stop.name)) {
-                uniqueStopsMap.set(stop.name, stop);
+        elements.timetableList.innerHTML = shown.map((row, index) => {
+            const route = stopRoutes.find(r => String(r.id) === String(row.routeId));
+            const departed = index < nextIndex || nextIndex === -1;
+            const status = row.predicted !== null
+                ? `<span class="timetable-predicted ${row.delta > 1 ? 'late' : row.delta < -1 ? 'early' : ''}">
+                        ${formatTime(row.predicted)} · ${Timetable.describeDelta(row.delta)}
+                   </span>`
+                : `<span class="timetable-status">${departed ? 'Departed' : 'Scheduled'}</span>`;
+
+            return `
+                <div class="timetable-row ${departed ? 'past' : ''} ${index === nextIndex ? 'next' : ''}">
+                    <span class="timetable-time">${formatTime(row.time)}</span>
+                    <span class="timetable-badge" style="background-color: ${route ? route.color : '#4a90d9'}">
+                        ${escapeHtml(route ? (route.shortName || route.name) : 'BUS')}
+                    </span>
+                    ${row.headsign ? `<span class="timetable-headsign">${escapeHtml(row.headsign)}</span>` : ''}
+                    ${status}
+                </div>
+            `;
+        }).join('');
+
+        // Start at the next departure rather than at dawn
+        if (!timetableScrolled && nextIndex > 0) {
+            const next = elements.timetableList.querySelector('.timetable-row.next');
+            if (next) {
+                next.scrollIntoView({ block: 'center' });
+            }
+        }
+        timetableScrolled = true;
+    }
+
+    /**
+     * Show alerts and service hours for the selected stop's routes
+     * Schedule notices are shown in place of an empty arrivals list instead.
+     */
+    function setStopNotices(notices) {
+        stopNotices = notices;
+        elements.serviceNotices.innerHTML = notices
+            .filter(notice => notice.type === 'alert')
+            .map(renderNotice)
+            .join('');
+    }
+
+    /**
+     * Show alerts and routes that aren't running at the top of the selection view
+     */
+    function updateServiceBanner(notices) {
+        if (notices.length === 0) {
+            elements.serviceBanner.style.display = 'none';
+            return;
+        }
+
+        const visible = bannerExpanded ? notices : notices.slice(0, 2);
+        const hidden = notices.length - visible.length;
+        elements.serviceBanner.innerHTML = visible.map(renderNotice).join('') +
+            (hidden > 0 ? `<button class="service-more-btn">${hidden} more</button>` : '');
+        elements.serviceBanner.style.display = 'block';
+
+        const moreBtn = elements.serviceBanner.querySelector('.service-more-btn');
+        if (moreBtn) {
+            moreBtn.addEventListener('click', () => {
+                bannerExpanded = true;
+                updateServiceBanner(notices);
+            });
+        }
+    }
+
+    function renderNotice(notice) {
+        const classes = ['service-notice', notice.type, notice.important ? 'important' : ''].join(' ');
+        return `
+            <div class="${classes}">
+                <strong>${escapeHtml(notice.title)}</strong>
+                ${notice.text ? `<p>${escapeHtml(notice.text)}</p>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Escape text from data feeds before putting it in HTML
+     */
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Small pill showing a crowding level
+     */
+    function crowdingBadge(crowding) {
+        return `<span class="crowding-badge crowding-${crowding.id}">${crowding.label}</span>`;
+    }
+
+    /**
+     * Draw a route's average occupancy for each hour of the day
+     */
+    function renderOccupancyChart(routeId) {
+        const hours = Occupancy.getRouteHistory(routeId);
+        if (!hours.some(h => h.ratio !== null)) {
+            elements.occupancyHistory.style.display = 'none';
+            return;
+        }
+
+        const currentHour = new Date().getHours();
+        const formatHour = hour => `${hour % 12 || 12}${hour < 12 ? 'a' : 'p'}`;
+
+        // Service hours only: from the first to the last hour with data
+        const withData = hours.filter(h => h.ratio !== null);
+        const first = withData[0].hour;
+        const last = withData[withData.length - 1].hour;
+
+        elements.occupancyChart.innerHTML = hours.slice(first, last + 1).map(h => {
+            const height = h.ratio === null ? 0 : Math.max(4, Math.round(Math.min(h.ratio, 1) * 100));
+            const level = h.ratio === null ? 'none' : Occupancy.getLevel(h.ratio).id;
+            const title = h.ratio === null
+                ? `${formatHour(h.hour)}: no data`
+                : `${formatHour(h.hour)}: ${Math.round(h.ratio * 100)}% full`;
+            return `
+                <div class="occupancy-bar ${h.hour === currentHour ? 'current' : ''}" title="${title}">
+                    <div class="occupancy-fill crowding-${level}" style="height: ${height}%"></div>
+                    <span class="occupancy-hour">${h.hour % 3 === 0 ? formatHour(h.hour) : ''}</span>
+                </div>
+            `;
+        }).join('');
+        elements.occupancyHistory.style.display = 'block';
+    }
+
+    /**
+     * Turn the arrival alert for a bus at the selected stop on or off
+     */
+    function toggleAlert(busId) {
+        if (!selectedSourceStop) return;
+
+        if (Alerts.has(busId, selectedSourceStop.id)) {
+            Alerts.remove(busId, selectedSourceStop.id);
+            showToast('Alert cancelled');
+            return;
+        }
+
+        const arrival = currentArrivals.find(a => String(a.busId) === String(busId));
+        if (!arrival) return;
+
+        Alerts.add(arrival, selectedSourceStop).then(alert => {
+            if (Alerts.has(busId, selectedSourceStop.id)) {
+                showToast(`We'll alert you when ${arrival.busName} is ${alert.minutes} min away`);
             }
         });
+    }
 
-        const allStops = Array.from(uniqueStopsMap.values())
-            .sort((a, b) => a.name.localeCompare(b.name));
+    /**
+     * Highlight the bells of buses with an active alert
+     */
+    function updateAlertButtons() {
+        if (!selectedSourceStop) return;
+        elements.arrivalsList.querySelectorAll('.alert-btn').forEach(btn => {
+            btn.classList.toggle('active', Alerts.has(btn.dataset.busId, selectedSourceStop.id));
+        });
+    }
 
-        elements.defaultSource.innerHTML = '<option value="">None</option>';
-        elements.defaultDest.innerHTML = '<option value="">None</option>';
+    /**
+     * Update trip options list for a source → destination search
+     */
+    function updateTrips(trips, onBusClick) {
+        updateRefreshTime();
 
-        allStops.forEach(stop => {
-            const opt1 = document.createElement('option');
-            opt1.value = stop.id;
-            opt1.textContent = stop.name;
-            elements.defaultSource.appendChild(opt1);
+        if (!trips || trips.length === 0) {
+            elements.arrivalsList.innerHTML = `
+                <div class="no-arrivals">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <circle cx="12" cy="12" r="10"/>
+                        <path d="M12 6v6l4 2"/>
+                    </svg>
+                    <p>No routes connect these stops</p>
+                </div>
+            `;
+            return;
+        }
 
-            const opt2 = document.createElement('option');
-            opt2.value = stop.id;
-            opt2.textContent = stop.name;
-            elements.defaultDest.appendChild(opt2);
+        const walkMinutes = Walking.getWalkMinutes(App.getUserLocation(), selectedSourceStop);
+
+        const html = trips.map(trip => {
+            const firstLeg = trip.legs[0];
+            const badges = trip.legs.map(leg => `
+                <div class="route-badge" style="background-color: ${leg.routeColor || '#4a90d9'}">
+                    ${leg.routeName || 'BUS'}
+                </div>
+            `).join('<span class="trip-arrow">→</span>');
+
+            if (trip.departIn === null) {
+                return `
+                    <div class="arrival-card trip-card inactive">
+                        <div class="trip-badges">${badges}</div>
+                        <div class="arrival-info">
+                            <div class="bus-name">No live bus</div>
+                            <div class="scheduled-time">Ride ~${trip.rideMinutes} min</div>
+                        </div>
+                    </div>
+                `;
+            }
+
+            const etaClass = trip.departIn <= 1 ? 'arriving' : trip.departIn <= 5 ? 'soon' : '';
+            const etaText = trip.departIn <= 0 ? 'Now' : `${trip.departIn} min`;
+            const arrivalText = trip.arrivalTime.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+            const transferText = trip.type === 'transfer'
+                ? `<div class="scheduled-time">Change at ${escapeHtml(trip.transferStop.name)} · wait ${trip.transferWait} min</div>`
+                : '';
+
+            return `
+                <div class="arrival-card trip-card" data-bus-id="${firstLeg.busId}">
+                    <div class="trip-badges">${badges}</div>
+                    <div class="arrival-info">
+                        <div class="bus-name">
+                            <span class="bus-icon">🚌</span>
+                            ${firstLeg.busName}
+                        </div>
+                        <div class="scheduled-time">Ride ~${trip.rideMinutes} min · Arrive ${arrivalText}</div>
+                        ${transferText}
+                        ${walkAdvice(trip.departIn, walkMinutes)}
+                        ${ageLine(firstLeg.timestamp)}
+                    </div>
+                    <div class="arrival-eta">
+                        <div class="eta-label">Leaves</div>
+                        <div class="eta-value ${etaClass}">${etaText}</div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        elements.arrivalsList.innerHTML = html;
+
+        // Add click handlers to trips with a live bus
+        if (onBusClick) {
+            document.querySelectorAll('.trip-card[data-bus-id]').forEach(card => {
+                card.addEventListener('click', () => {
+                    onBusClick(card.dataset.busId);
+                });
+            });
+        }
+    }
+
+    /**
+     * Update current time display
+     */
+    function updateCurrentTime() {
+        const now = new Date(Recorder.getReplayTime());
+        elements.currentTime.textContent = now.toLocaleTimeString([], {
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+        updateReplayBar();
+        updateAges();
+    }
+
+    /**
+     * Show recording state in the settings panel and the replay bar
+     */
+    function updateRecorderStatus() {
+        if (Recorder.isReplaying()) {
+            elements.recordBtn.disabled = true;
+            elements.recorderStatus.textContent = 'Replaying a recording. Reload without ?replay to go live.';
+        } else if (Recorder.isRecording()) {
+            elements.recordBtn.disabled = false;
+            elements.recordBtn.textContent = 'Stop & Save Recording';
+            elements.recorderStatus.textContent = `Recording… ${Recorder.getRecordedCount()} responses captured`;
+        } else {
+            elements.recordBtn.disabled = false;
+            elements.recordBtn.textContent = 'Start Recording';
+            elements.recorderStatus.textContent = 'Record live responses to reproduce an issue later';
+        }
+
+        updateReplayBar();
+    }
+
+    /**
+     * Update the replay position and speed buttons
+     */
+    function updateReplayBar() {
+        const status = Recorder.getReplayStatus();
+        if (!status) {
+            elements.replayBar.style.display = 'none';
+            return;
+        }
+
+        if (elements.replaySpeeds.children.length === 0) {
+            Recorder.SPEEDS.forEach(speed => {
+                const btn = document.createElement('button');
+                btn.className = 'replay-speed-btn';
+                btn.dataset.speed = speed;
+                btn.textContent = `${speed}×`;
+                btn.addEventListener('click', () => Recorder.setSpeed(speed));
+                elements.replaySpeeds.appendChild(btn);
+            });
+        }
+
+        elements.replaySpeeds.querySelectorAll('.replay-speed-btn').forEach(btn => {
+            btn.classList.toggle('active', Number(btn.dataset.speed) === status.speed);
         });
 
+        elements.replayLabel.textContent = status.finished
+            ? 'Replay finished'
+            : `Replay ${formatDuration(status.elapsed)} / ${formatDuration(status.duration)}`;
+        elements.replayBar.style.display = 'flex';
+    }
+
+    function formatDuration(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${String(seconds).padStart(2, '0')}`;
+    }
+
+    /**
+     * Ask the user for a recording file to replay
+     * @returns {Promise<Object>} The parsed recording
+     */
+    function pickRecordingFile() {
+        return new Promise((resolve, reject) => {
+            const overlay = document.createElement('div');
+            overlay.className = 'recording-picker';
+            overlay.innerHTML = `
+                <div class="recording-picker-card">
+                    <h3>Replay a recording</h3>
+                    <p>Choose a recording file saved from the settings panel.</p>
+                    <input type="file" accept=".json,application/json" hidden>
+                    <button class="save-settings-btn">Choose Recording</button>
+                    <button class="clear-settings-btn">Go Live Instead</button>
+                </div>
+            `;
+
+            const input = overlay.querySelector('input');
+            overlay.querySelector('.save-settings-btn').addEventListener('click', () => input.click());
+            overlay.querySelector('.clear-settings-btn').addEventListener('click', () => {
+                overlay.remove();
+                reject(new Error('No recording chosen'));
+            });
+
+            input.addEventListener('change', () => {
+                const file = input.files[0];
+                if (!file) return;
+
+                overlay.remove();
+                file.text()
+                    .then(text => resolve(JSON.parse(text)))
+                    .catch(reject);
+            });
+
+            document.body.appendChild(overlay);
+        });
+    }
+
+    /**
+     * Update refresh time display
+     */
+    function updateRefreshTime() {
+        const now = Recorder.getReplayTime();
+        elements.refreshTime.dataset.updated = String(now);
+        elements.refreshTime.textContent = `Updated ${formatAge(now)}`;
+    }
+
+    /**
+     * "just now", "12s ago" or "3 min ago"
+     */
+    function formatAge(timestamp) {
+        const seconds = Math.max(0, Math.round((Recorder.getReplayTime() - timestamp) / 1000));
+        if (seconds < 5) return 'just now';
+        if (seconds < 60) return `${seconds}s ago`;
+        return `${Math.floor(seconds / 60)} min ago`;
+    }
+
+    /**
+     * When a card's bus last reported, kept current by updateAges
+     */
+    function ageLine(timestamp) {
+        if (!timestamp) return '';
+        return `<div class="arrival-age" data-updated="${timestamp}">Updated ${formatAge(timestamp)}</div>`;
+    }
+
+    /**
+     * Tick every "Updated ... ago" on screen
+     */
+    function updateAges() {
+        document.querySelectorAll('[data-updated]').forEach(element => {
+            element.textContent = `Updated ${formatAge(Number(element.dataset.updated))}`;
+        });
+    }
+
+    /**
+     * Open navigation to location
+     */
+    function openNavigation(lat, lng, name) {
+        const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent);
+
+        if (isIOS) {
+            window.open(`maps://maps.apple.com/?daddr=${lat},${lng}&q=${encodeURIComponent(name)}`, '_blank');
+        } else {
+            window.open(`https://www.google.com/maps/dir/?api=1&destination=${lat},${lng}`, '_blank');
+        }
+    }
+
+    /**
+     * Open settings panel
+     */
+    function openSettings() {
+        elements.settingsPanel.classList.add('open');
+        populateSettingsPanel();
+    }
+
+    /**
+     * Close settings panel
+     */
+    function closeSettings() {
+        elements.settingsPanel.classList.remove('open');
+    }
+
+    /**
+     * Populate settings panel with routes and stops
+     */
+    function populateSettingsPanel() {
+        const selectedRoutes = Storage.getSelectedRoutes();
+
+        // Populate route filters
+        const routeFiltersHtml = routes.map(route => {
+            const isChecked = selectedRoutes.length === 0 || selectedRoutes.includes(String(route.id));
+            return `
+                <label class="route-filter-item">
+                    <input type="checkbox" value="${route.id}" ${isChecked ? 'checked' : ''}>
+                    <div class="route-filter-color" style="background-color: ${route.color}"></div>
+                    <span class="route-filter-name">${route.shortName || route.name}</span>
+                </label>
+            `;
+        }).join('');
+
+        elements.routeFilters.innerHTML = routeFiltersHtml;
+
+        // Stops for the favorite editors (all routes, grouped by name)
+        settingsStopGroups = StopPicker.group(stops, routes);
+
+        // Favorite trip editors
+        elements.favoritesList.innerHTML = '';
+        Storage.getFavorites().forEach(favorite => {
+            elements.favoritesList.appendChild(createFavoriteEditor(favorite));
+        });
+
+        fillStopNames();
+
         // Set current values
-        elements.defaultSource.value = Storage.getDefaultSource() || '';
-        elements.defaultDest.value = Storage.getDefaultDest() || '';
+        elements.alertMinutes.value = String(Storage.getAlertMinutes());
+        elements.hideFullBuses.checked = Storage.getHideFullBuses();
+        elements.leaveAlerts.checked = Storage.getLeaveAlerts();
+    }
+
+    /**
+     * Build the settings form for one favorite trip
+     */
+    function createFavoriteEditor(favorite) {
+        const options = settingsStopGroups.map(group => {
+            if (group.choices.length === 1) {
+                return `<option value="${escapeHtml(group.choices[0].stopId)}">${escapeHtml(group.name)}</option>`;
+            }
+            const choices = group.choices
+                .map(choice => `<option value="${escapeHtml(choice.stopId)}">${escapeHtml(choice.label)}</option>`)
+                .join('');
+            return `<optgroup label="${escapeHtml(group.name)}">${choices}</optgroup>`;
+        }).join('');
+        const days = favorite.days || [];
+
+        const editor = document.createElement('div');
+        editor.className = 'favorite-editor';
+        editor.dataset.id = favorite.id;
+        editor.innerHTML = `
+            <div class="favorite-editor-header">
+                <input type="text" class="favorite-name" placeholder="Name, e.g. Morning" value="${escapeHtml(favorite.name)}">
+                <button class="favorite-remove" aria-label="Remove favorite">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M18 6L6 18M6 6l12 12"/>
+                    </svg>
+                </button>
+            </div>
+            <div class="setting-field">
+                <label>From</label>
+                <select class="favorite-source"><option value="">Select stop</option>${options}</select>
+            </div>
+            <div class="setting-field">
+                <label>To</label>
+                <select class="favorite-dest"><option value="">Any</option>${options}</select>
+            </div>
+            <div class="favorite-days">
+                ${Favorites.DAY_LABELS.map((label, day) => `
+                    <label class="favorite-day">
+                        <input type="checkbox" value="${day}" ${days.includes(day) ? 'checked' : ''}>
+                        <span>${label}</span>
+                    </label>
+                `).join('')}
+            </div>
+            <div class="favorite-times">
+                <input type="time" class="favorite-start" value="${favorite.start || ''}" aria-label="From time">
+                <span>to</span>
+                <input type="time" class="favorite-end" value="${favorite.end || ''}" aria-label="To time">
+            </div>
+        `;
+
+        editor.querySelector('.favorite-source').value = favorite.source || '';
+        editor.querySelector('.favorite-dest').value = favorite.dest || '';
+        editor.querySelector('.favorite-remove').addEventListener('click', () => editor.remove());
+
+        return editor;
+    }
+
+    /**
+     * List every stop with its provider name, the name the dictionary gives it
+     * and the user's own name, if any
+     */
+    function fillStopNames() {
+        const stopNames = Storage.getStopNames();
+        const uniqueStops = new Map();
+        stops.forEach(stop => {
+            if (!uniqueStops.has(String(stop.id))) {
+                uniqueStops.set(String(stop.id), stop);
+            }
+        });
+
+        const rows = Array.from(uniqueStops.values())
+            .map(stop => ({ stop, dictionary: Naming.lookup(stop.originalName) }))
+            .sort((a, b) => a.dictionary.name.localeCompare(b.dictionary.name) ||
+                a.stop.originalName.localeCompare(b.stop.originalName));
+
+        elements.stopNamesFilter.value = '';
+        elements.stopNamesList.innerHTML = rows.map(({ stop, dictionary }) => `
+            <div class="stop-name-row" data-stop-id="${escapeHtml(stop.id)}"
+                data-default-name="${escapeHtml(dictionary.name)}" data-default-source="${dictionary.source}">
+                <div class="stop-name-original">
+                    ${escapeHtml(stop.originalName)}
+                    <span class="stop-name-source"></span>
+                </div>
+                <input type="text" class="stop-name-input" placeholder="${escapeHtml(dictionary.name)}"
+                    value="${escapeHtml(stopNames[String(stop.id)] || '')}">
+            </div>
+        `).join('');
+
+        elements.stopNamesList.querySelectorAll('.stop-name-row').forEach(updateStopNameSource);
+    }
+
+    /**
+     * Label a stop name row with where its displayed name comes from
+     */
+    function updateStopNameSource(row) {
+        const labels = {
+            renamed: 'Renamed',
+            exact: 'Dictionary, exact name',
+            prefix: 'Dictionary, name start',
+            regex: 'Dictionary, pattern',
+            cleaned: 'Provider name'
+        };
+        const renamed = row.querySelector('.stop-name-input').value.trim() !== '';
+        const source = renamed ? 'renamed' : row.dataset.defaultSource;
+
+        row.classList.toggle('renamed', renamed);
+        row.querySelector('.stop-name-source').textContent = `· ${labels[source]}`;
+    }
+
+    /**
+     * Show only the stop name rows matching the filter
+     */
+    function filterStopNames() {
+        const query = elements.stopNamesFilter.value.trim().toLowerCase();
+        elements.stopNamesList.querySelectorAll('.stop-name-row').forEach(row => {
+            const text = [
+                row.querySelector('.stop-name-original').textContent,
+                row.dataset.defaultName,
+                row.querySelector('.stop-name-input').value
+            ].join(' ').toLowerCase();
+            row.style.display = text.includes(query) ? '' : 'none';
+        });
+    }
+
+    /**
+     * Read the user's stop names back from the list, keeping those for stops not listed
+     */
+    function readStopNames() {
+        const stopNames = { ...Storage.getStopNames() };
+        elements.stopNamesList.querySelectorAll('.stop-name-row').forEach(row => {
+            const name = row.querySelector('.stop-name-input').value.trim();
+            if (name && name !== row.dataset.defaultName) {
+                stopNames[row.dataset.stopId] = name;
+            } else {
+                delete stopNames[row.dataset.stopId];
+            }
+        });
+        return stopNames;
+    }
+
+    /**
+     * Read favorite trips back from their editors, skipping ones without a stop
+     */
+    function readFavoriteEditors() {
+        return Array.from(elements.favoritesList.querySelectorAll('.favorite-editor'))
+            .map(editor => Favorites.create({
+                id: editor.dataset.id,
+                name: editor.querySelector('.favorite-name').value.trim(),
+                source: editor.querySelector('.favorite-source').value,
+                dest: editor.querySelector('.favorite-dest').value,
+                days: Array.from(editor.querySelectorAll('.favorite-day input:checked')).map(cb => Number(cb.value)),
+                start: editor.querySelector('.favorite-start').value,
+                end: editor.querySelector('.favorite-end').value
+            }))
+            .filter(favorite => favorite.source);
     }
 
     /**
@@ -639,39 +1675,192 @@ const UI = (function() {
 
         // If all routes are checked, save empty array (show all)
         const allChecked = checkedRoutes.length === routes.length;
-        Storage.setSelectedRoutes(allChecked ? [] : checkedRoutes);
 
-        // Save default stops
-        Storage.setDefaultSource(elements.defaultSource.value);
-        Storage.setDefaultDest(elements.defaultDest.value);
+        // Save as one change; the app applies it as soon as it's saved
+        Storage.saveBatch(() => {
+            Storage.setSelectedRoutes(allChecked ? [] : checkedRoutes);
+            Storage.setFavorites(readFavoriteEditors());
+            Storage.setStopNames(readStopNames());
+            Storage.setAlertMinutes(parseInt(elements.alertMinutes.value));
+            Storage.setHideFullBuses(elements.hideFullBuses.checked);
+            Storage.setLeaveAlerts(elements.leaveAlerts.checked);
+        });
+
+        // Ask now, while the user is tapping, so leave alerts can be shown later
+        if (elements.leaveAlerts.checked) {
+            Alerts.requestPermission();
+        }
 
         // Close settings
         closeSettings();
-        showToast('Settings saved! Refreshing...');
+        showUndoToast('Settings saved');
+    }
 
-        // Reload the page to apply all changes
-        setTimeout(() => {
-            window.location.reload();
-        }, 500);
+    /**
+     * Toast offering to undo the settings change just made
+     */
+    function showUndoToast(message) {
+        if (!Storage.canUndo()) {
+            showToast(message);
+            return;
+        }
+
+        showToast(message, {
+            label: 'Undo',
+            onClick: () => {
+                if (Storage.undo()) {
+                    showToast('Change undone');
+                }
+            }
+        });
+    }
+
+    /**
+     * Download the saved settings as a JSON file
+     */
+    function exportSettingsFile() {
+        const blob = new Blob([JSON.stringify(Storage.exportSettings(), null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'bus-tracker-settings.json';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    /**
+     * Replace the settings with an exported settings file
+     */
+    async function importSettingsFile(file) {
+        try {
+            Storage.importSettings(JSON.parse(await file.text()));
+        } catch (error) {
+            console.error('Failed to import settings:', error);
+            showToast(`Could not import settings: ${error.message}`);
+            return;
+        }
+
+        closeSettings();
+        showUndoToast('Settings imported');
+    }
+
+    /**
+     * Show a link and QR code that open the tracker with the saved settings
+     */
+    function showShareSettings() {
+        const url = `${window.location.origin}${window.location.pathname}?settings=${Storage.encodeSettings()}`;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'recording-picker';
+        overlay.innerHTML = `
+            <div class="recording-picker-card share-settings-card">
+                <h3>Share settings</h3>
+                <p>Opening this link sets up the tracker with your saved routes and favorite trips.</p>
+                <div class="share-settings-qr"></div>
+                <input type="text" class="share-settings-url" readonly>
+                <button class="save-settings-btn">Copy Link</button>
+                <button class="clear-settings-btn">Close</button>
+            </div>
+        `;
+
+        overlay.querySelector('.share-settings-url').value = url;
+        overlay.querySelector('.share-settings-qr').innerHTML = renderQrCode(url);
+
+        overlay.querySelector('.save-settings-btn').addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(url);
+                showToast('Link copied');
+            } catch (error) {
+                overlay.querySelector('.share-settings-url').select();
+                showToast('Select the link to copy it');
+            }
+        });
+        overlay.querySelector('.clear-settings-btn').addEventListener('click', () => overlay.remove());
+
+        document.body.appendChild(overlay);
+    }
+
+    /**
+     * QR code for a URL as an SVG tag, or a note if one can't be made
+     */
+    function renderQrCode(url) {
+        if (typeof qrcode === 'undefined') {
+            return '<p>QR codes need a connection the first time.</p>';
+        }
+
+        try {
+            const qr = qrcode(0, 'L');
+            qr.addData(url);
+            qr.make();
+            return qr.createSvgTag({ cellSize: 4, margin: 2, scalable: true });
+        } catch (error) {
+            // The data is too long for a QR code
+            console.log('QR code failed:', error);
+            return '<p>Too many settings for a QR code. Share the link instead.</p>';
+        }
     }
 
     /**
      * Clear all settings
      */
     function clearSettings() {
+        // Clearing also resets the transit system; the app applies it in place
         Storage.clearSettings();
         closeSettings();
-        showToast('Settings cleared!');
+        showUndoToast('Settings cleared');
+    }
 
-        // Refresh
-        populateStops(stops, routes);
-        MapManager.filterByRoutes([]);
+    /**
+     * Show or hide the offline / stale data banner
+     * @param {boolean} offline - Whether live data is unavailable
+     * @param {number} savedAt - When the cached routes/stops were saved, if in use
+     */
+    function setOfflineMode(offline, savedAt = null) {
+        if (!offline) {
+            elements.offlineBanner.style.display = 'none';
+            return;
+        }
+
+        if (savedAt) {
+            const savedTime = new Date(savedAt).toLocaleString([], {
+                month: 'short',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: '2-digit'
+            });
+            elements.offlineBannerText.textContent = `Offline · showing saved data from ${savedTime}`;
+        } else {
+            elements.offlineBannerText.textContent = 'Offline · bus positions may be out of date';
+        }
+        elements.offlineBanner.style.display = 'flex';
+    }
+
+    /**
+     * Show connection health in the header dot
+     * @param {Object} status - From Http.getStatus
+     */
+    function setConnectionStatus(status) {
+        let label = 'Connected';
+        if (status.state === 'degraded') {
+            label = 'Connection unstable, retrying';
+        } else if (status.state === 'offline') {
+            label = status.retryAt
+                ? `Can't reach the server, trying again at ${new Date(status.retryAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit', second: '2-digit' })}`
+                : 'Offline';
+        }
+
+        elements.connectionStatus.className = `connection-status ${status.state}`;
+        elements.connectionStatus.title = label;
+        elements.connectionStatus.setAttribute('aria-label', label);
     }
 
     /**
      * Show toast notification
+     * @param {string} message - Text to show
+     * @param {Object} action - Optional { label, onClick } button; keeps the toast up longer
      */
-    function showToast(message) {
+    function showToast(message, action = null) {
         // Remove existing toast
         const existing = document.querySelector('.toast');
         if (existing) existing.remove();
@@ -681,11 +1870,24 @@ const UI = (function() {
         toast.textContent = message;
         document.body.appendChild(toast);
 
-        setTimeout(() => toast.classList.add('show'), 10);
-        setTimeout(() => {
+        const hide = () => {
             toast.classList.remove('show');
             setTimeout(() => toast.remove(), 300);
-        }, 2000);
+        };
+
+        if (action) {
+            const button = document.createElement('button');
+            button.className = 'toast-action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                hide();
+                action.onClick();
+            });
+            toast.appendChild(button);
+        }
+
+        setTimeout(() => toast.classList.add('show'), 10);
+        setTimeout(hide, action ? 5000 : 2000);
     }
 
     /**
@@ -728,18 +1930,35 @@ const UI = (function() {
     return {
         init,
         populateStops,
+        applySettings,
+        setFollowing,
+        updateUpcomingStops,
+        updateNearbyStops,
         onSearch,
+        onViewChange,
         onMyLocation,
+        onSystemChange,
+        setSystem,
+        populateSystems,
         showSelectionView,
         showDetailsView,
         showBusNavView,
         updateArrivals,
+        updateTrips,
         updateRefreshTime,
         selectSourceStop,
         getCurrentView,
         getSelectedStops,
         setLocationActive,
         openNavigation,
+        setOfflineMode,
+        setConnectionStatus,
+        setStopNotices,
+        setNextScheduled,
+        updateTimetable,
+        updateServiceBanner,
+        updateRecorderStatus,
+        pickRecordingFile,
         showToast
     };
 })();
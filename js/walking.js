@@ -0,0 +1,44 @@
+/**
+ * Walking module: how long it takes to walk to a stop, and whether to leave
+ * now to catch a bus there
+ */
+const Walking = (function() {
+    const WALKING_KM_PER_HOUR = 4.8; // About 3 mph
+    const DETOUR_FACTOR = 1.3; // Streets are longer than the straight line
+    const LEAVE_WINDOW_MINUTES = 1; // Leaving within this many minutes counts as "leave now"
+    const MAX_WALK_MINUTES = 60; // Further than this, walking advice isn't useful
+
+    /**
+     * Minutes to walk from a location to a stop, or null without a location or if it's too far
+     */
+    function getWalkMinutes(location, stop) {
+        if (!location || !stop) return null;
+
+        const km = API.getDistanceKm(location.lat, location.lng, stop.latitude, stop.longitude) * DETOUR_FACTOR;
+        const minutes = Math.ceil((km / WALKING_KM_PER_HOUR) * 60);
+        return minutes <= MAX_WALK_MINUTES ? minutes : null;
+    }
+
+    /**
+     * Whether to leave now for a bus due in some minutes
+     * @returns {Object|null} { id: 'leave'|'miss'|'wait', label, wait } or null without a walking time
+     */
+    function classify(eta, walkMinutes) {
+        if (walkMinutes === null || eta === null || eta === undefined) return null;
+
+        const wait = eta - walkMinutes;
+        if (wait < 0) {
+            return { id: 'miss', label: "You'll miss this one", wait };
+        }
+        if (wait <= LEAVE_WINDOW_MINUTES) {
+            return { id: 'leave', label: 'Leave now', wait: 0 };
+        }
+        return { id: 'wait', label: `Wait ${wait} min`, wait };
+    }
+
+    // Public API
+    return {
+        getWalkMinutes,
+        classify
+    };
+})();
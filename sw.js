@@ -0,0 +1,168 @@
+/**
+ * Service worker for offline support
+ * Caches the app shell, Leaflet assets and map tiles. Route and stop payloads
+ * are POST responses, so the API module keeps the last-known copies itself.
+ */
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `lma-shell-${CACHE_VERSION}`;
+const TILE_CACHE = `lma-tiles-${CACHE_VERSION}`;
+const MAX_TILES = 400;
+
+// Keep in sync with the scripts and styles loaded by index.html
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'css/styles.css',
+    'js/config.js',
+    'js/recorder.js',
+    'js/http.js',
+    'js/scheduler.js',
+    'js/providers/passio.js',
+    'js/providers/gtfs.js',
+    'js/naming.js',
+    'js/api.js',
+    'js/geometry.js',
+    'js/speed-model.js',
+    'js/trip-planner.js',
+    'js/alerts.js',
+    'js/occupancy.js',
+    'js/predictions.js',
+    'js/service.js',
+    'js/timetable.js',
+    'js/favorites.js',
+    'js/walking.js',
+    'js/storage.js',
+    'js/router.js',
+    'js/stop-picker.js',
+    'js/map.js',
+    'js/ui.js',
+    'js/app.js'
+];
+
+const CDN_FILES = [
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+    'https://unpkg.com/qrcode-generator@1.4.4/qrcode.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then(cache => Promise.all([
+            cache.addAll(SHELL_FILES),
+            cache.addAll(CDN_FILES.map(url => new Request(url, { mode: 'cors' })))
+        ])).then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys().then(keys => Promise.all(
+            keys
+                .filter(key => key !== SHELL_CACHE && key !== TILE_CACHE)
+                .map(key => caches.delete(key))
+        )).then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // Page loads: network first so updates show up, cached shell when offline
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request)
+                .then(response => {
+                    const copy = response.clone();
+                    caches.open(SHELL_CACHE).then(cache => cache.put('index.html', copy));
+                    return response;
+                })
+                .catch(() => caches.match('index.html'))
+        );
+        return;
+    }
+
+    // Map tiles: cache as they are viewed, capped in size
+    if (url.hostname.endsWith('tile.openstreetmap.org')) {
+        event.respondWith(cacheFirst(request, TILE_CACHE, MAX_TILES));
+        return;
+    }
+
+    // App files: network first so a new index.html never runs against old scripts
+    if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+        return;
+    }
+
+    // Leaflet and fonts are versioned: serve cached copy and refresh it in the background
+    if (url.hostname === 'unpkg.com' ||
+        url.hostname.endsWith('googleapis.com') ||
+        url.hostname.endsWith('gstatic.com')) {
+        event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+    }
+});
+
+/**
+ * Serve from cache, falling back to the network and caching the result
+ */
+async function cacheFirst(request, cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+        trimCache(cache, maxEntries);
+    }
+    return response;
+}
+
+/**
+ * Fetch from the network and cache the result, falling back to the cached copy when offline
+ */
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        return (await cache.match(request)) || Response.error();
+    }
+}
+
+/**
+ * Serve from cache immediately while updating the cached copy from the network
+ */
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    return cached || network;
+}
+
+/**
+ * Remove the oldest entries once a cache grows past its limit
+ */
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    for (let i = 0; i < keys.length - maxEntries; i++) {
+        await cache.delete(keys[i]);
+    }
+}